@@ -1,3 +1,24 @@
+const SAVE_VERSION = 1;
+const CODE_VERSION = 1;
+const REPLAY_VERSION = 1;
+const BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+const TEXT_SYMBOLS = {unknown: "?", question: "?", flag: "F", wrongFlag: "f", mine: "X", closedMine: "*", closedSafe: ".", separator: " "};
+
+const gameStates = new WeakMap();
+
+const FIRST_CLICK_POLICIES = ["none", "safe", "area", "noGuess"];
+const FLAG_STATES = ["none", "flag", "question"];
+const GAME_MODES = ["normal", "kaboom", "evil"];
+const DIFFICULTY_GRADES = ["single", "subset", "mineCount", "enumeration", "guess"];
+const DAILY_SIZES = [[9, 9, 10], [16, 16, 40], [30, 16, 99]];
+const GUESS_STRATEGIES = {
+   lowestRisk: (candidates) => candidates.reduce((best, candidate) => (candidate.probability ?? 1) < (best.probability ?? 1) ? candidate : best).cell,
+   random: (candidates, minefield, randomizer) => candidates[Math.floor(randomizer() * candidates.length)].cell
+};
+const ASYNC_TIME_SLICE = 15; //milliseconds of work between the pauses of the async methods
+const MAX_RANDOM_CALLS = 100000000; //seeded randomizer calls that a save can ask to replay (about a second)
+
+
 /**
  * An Object containing:
  * @property {Number}  width         - The minefield width (1-based)
@@ -8,6 +29,7 @@
  * @property {Boolean} [X].isOpen    - Whether a cell is revealed
  * @property {Boolean} [X].isMine    - Whether a cell is a mine
  * @property {Boolean} [X].isFlagged - Whether a cell is flagged
+ * @property {Boolean} [X].isQuestioned - Whether a cell is marked with a question mark
  * @property {Number}  [X].mines     - Number of mines present around a cell
  */
 export default class Minefield
@@ -17,11 +39,17 @@ export default class Minefield
     * @param {Number} width The width of the minefield (1-based)
     * @param {Number} height The height of the minefield (1-based)
     * @param {Number} mines The number of total mines (default: width*height/5). If an array is given, its values will represent the indexes where the mines will be placed
-    * @param {Function} randomizer A function that returns a random decimal number between 0 and 1 (default: {@link Math.random})
+    * @param {Function|String|Number} randomizer A function that returns a random decimal number between 0 and 1, or a seed for the built-in one (see {@link Minefield.createRandomizer}) (default: {@link Math.random}). It's also used to move the mines on the first click
+    * @param {String} firstClickPolicy What happens on the first click (see {@link firstClickPolicy}) (default: "safe")
+    * @param {Boolean} lazyMines If true, no mines are placed until the first cell is opened with {@link openCell}, and the opened cell (along with the other cells excluded by the first-click policy) is never a mine (default: false)
+    * @param {Boolean} questionMarks Whether {@link toggleFlag} also marks cells with question marks (see {@link questionMarks}) (default: false)
+    * @param {Boolean} limitFlags Whether the flags can't be more than the mines (see {@link limitFlags}) (default: false)
+    * @param {Number} lives How many mines can be opened before the game is lost (see {@link lives}) (default: 1)
+    * @param {String} mode How the mines behave after the first click (see {@link mode}) (default: "normal")
     * @returns {Minefield} A new Minefield object
     * @throws An error if parameters are invalid
     */
-   constructor(width, height, mines = Math.floor(width*height/5), randomizer = Math.random)
+   constructor(width, height, mines = Math.floor(width*height/5), randomizer = Math.random, {firstClickPolicy="safe", lazyMines=false, questionMarks=false, limitFlags=false, lives=1, mode="normal"} = {})
    {
       let getNearbyCellsTemp = (cell) =>
       {
@@ -59,16 +87,28 @@ export default class Minefield
       width = validateNumber(width, 0), height = validateNumber(height, 0);
 
       let cells = width*height;
+      let seed = null;
+
+      if (typeof randomizer == "string" || typeof randomizer == "number")
+      {
+         let random = Minefield.createRandomizer(randomizer);
+
+         seed = {value: randomizer, calls: 0};
+         randomizer = () => (seed.calls++, random());
+      }
+      else if (typeof randomizer != "function") throw new Error("Invalid parameter type");
 
       if (Array.isArray(mines))
       {
+         if (lazyMines) throw new Error("Lazy mines can't have given placements");
+
          //assign properties to minefield
          Object.assign(this, {width: width, height: height, cells: cells, mines: mines.length});
 
          //assign properties to cells and add mines
          for (let i=0; i<cells; i++)
          {
-            this[i] = {mines: 0, isMine: false, isOpen: false, isFlagged: false};
+            this[i] = {mines: 0, isMine: false, isOpen: false, isFlagged: false, isQuestioned: false};
          }
 
          //assign mines to cells and high up the cells' nearby mines number by one
@@ -91,14 +131,14 @@ export default class Minefield
          //assign properties to minefield
          Object.assign(this, {width: width, height: height, cells: cells, mines: mines});
 
-         //assign properties to cells and add mines
+         //assign properties to cells and add mines (unless they are placed on the first click)
          for (let i=0; i<cells; i++)
          {
-            this[i] = {mines: 0, isMine: i < mines, isOpen: false, isFlagged: false};
+            this[i] = {mines: 0, isMine: lazyMines == false && i < mines, isOpen: false, isFlagged: false, isQuestioned: false};
          }
 
          //Durstenfeld shuffle algorithm
-         for (let i=cells-1; i > 0; i--)
+         for (let i=cells-1; i > 0 && lazyMines == false; i--)
          {
             let j = Math.floor(randomizer() * (i+1));
             [this[i], this[j]] = [this[j], this[i]];
@@ -119,6 +159,13 @@ export default class Minefield
          }
       }
 
+      if (FIRST_CLICK_POLICIES.includes(firstClickPolicy) == false) throw new Error("Unknown first-click policy");
+      if (GAME_MODES.includes(mode) == false) throw new Error("Unknown game mode");
+
+      lives = validateNumber(lives, 1);
+
+      gameStates.set(this, {history: [], historyIndex: 0, tracking: true, listeners: [], stats: createStats(), recording: {initial: null, startTime: null, actions: []}, randomizer: randomizer, seed: seed, firstClickPolicy: firstClickPolicy, minesPending: lazyMines && mines > 0, questionMarks: questionMarks == true, limitFlags: limitFlags == true, lives: lives, mode: mode});
+
       return this;
    }
 
@@ -126,7 +173,7 @@ export default class Minefield
    /**
     * Converts the Minefield object to a Minefield2D object.
     *
-    * WARNING! The two objects will share the same reference to the same cells so any changes made to one will be reflected in the other
+    * WARNING! The two objects will share the same reference to the same cells (and game state, like the move history) so any changes made to one will be reflected in the other
     * @returns {Minefield2D} A Minefield2D object
     * @throws An error if object is already an instance of Minefield2D
     */
@@ -134,7 +181,7 @@ export default class Minefield
    {
       if (this instanceof Minefield2D) throw new Error("This object is already an instance of Minefield2D");
 
-      let minefield2D = new Minefield2D(this.width, this.height)
+      let minefield2D = new Minefield2D(this.width, this.height, this.mines);
 
       for (let i=0; i<this.width; i++)
       {
@@ -145,6 +192,8 @@ export default class Minefield
          }
       }
 
+      gameStates.set(minefield2D, gameStates.get(this));
+
       return minefield2D;
    }
 
@@ -171,1243 +220,4281 @@ export default class Minefield
 
 
    /**
-    * Opens a given cell and may open nearby ones following the minesweeper game rules.
+    * Returns a versioned save of the minefield, containing its board and game state (used by {@link JSON.stringify}).
+    *
+    * Cells are always saved in index order, also for Minefield2D objects. Custom randomizers can't be saved (restored minefields use {@link Math.random}), while seeds can. The game clock keeps running while the game is saved, unless it's paused (see {@link pause}).
+    * @returns {Object} A plain Object that can be restored with {@link Minefield.fromJSON}
+    */
+   toJSON()
+   {
+      let cells = [];
+
+      this.forEachCell((cell, i) =>
+      {
+         cells[i] = {isOpen: cell.isOpen, isMine: cell.isMine, isFlagged: cell.isFlagged, isQuestioned: cell.isQuestioned, mines: cell.mines};
+      }, false, true);
+
+      return {
+         version: SAVE_VERSION,
+         type: this instanceof Minefield2D ? "Minefield2D" : "Minefield",
+         width: this.width,
+         height: this.height,
+         mines: this.mines,
+         cells: cells,
+         seed: gameStates.get(this).seed?.value ?? null,
+         randomCalls: gameStates.get(this).seed?.calls ?? 0,
+         firstClickPolicy: gameStates.get(this).firstClickPolicy,
+         minesPending: gameStates.get(this).minesPending,
+         questionMarks: gameStates.get(this).questionMarks,
+         limitFlags: gameStates.get(this).limitFlags,
+         lives: gameStates.get(this).lives,
+         mode: gameStates.get(this).mode,
+         stats: {...gameStates.get(this).stats}
+      };
+   }
+
+   /**
+    * Restores a minefield saved with {@link toJSON}, rebuilding the correct object type (Minefield or Minefield2D).
     * @example
-    * minefield.openCell(20, false, {nearbyOpening: true, nearbyFlagging: false});
-    * @param {Number} cell The index of the cell to open
-    * @param {Boolean} firstclick If true, and a bomb is opened, it will be moved in another cell starting from 0 (default: {@link isNew()})
-    * @param {Boolean} nearbyOpening Enables the opening of nearby cells if the given cell is already open and its nearby mines number matches the number of nearby flagged cells (default: true)
-    * @param {Boolean} nearbyFlagging Enables the flagging of nearby cells if the given cell is already open and its nearby mines number matches the number of nearby closed cells (default: true)
-    * @returns {Array.<number>} An array containing the indexes of the updated cells
-    * @throws An error if parameters are invalid
+    * let minefield = Minefield.fromJSON(JSON.stringify(oldMinefield));
+    * @param {Object|String} data The saved minefield, either as an Object or as a JSON string
+    * @returns {Minefield|Minefield2D} The restored minefield
+    * @throws An error if the data is invalid or inconsistent
     */
-   openCell(cell, firstclick=this.isNew(), {nearbyOpening=true, nearbyFlagging=true} = {})
+   static fromJSON(data)
    {
-      cell = validateNumber(cell, 0, this.cells-1);
+      if (typeof data == "string") data = JSON.parse(data);
 
-      let updatedCells = [];
+      if (data == null || typeof data != "object") throw new Error("Invalid save data");
+      if (data.version != SAVE_VERSION) throw new Error("Unsupported save version");
+      if (data.type != "Minefield" && data.type != "Minefield2D") throw new Error("Unknown minefield type");
 
-      let openIfEmptyZone = (cell) =>
+      let width = validateNumber(data.width, 0), height = validateNumber(data.height, 0);
+
+      if (Array.isArray(data.cells) == false || data.cells.length != width*height) throw new Error("Save cells don't match the minefield size");
+
+      let mines = [];
+
+      for (let i=0; i<data.cells.length; i++)
       {
-         let emptyZone = this.getEmptyZone(cell);
+         let cell = data.cells[i];
 
-         for (let i=0; i<emptyZone.length; i++)
+         if (cell == null || typeof cell.isOpen != "boolean" || typeof cell.isMine != "boolean" || typeof cell.isFlagged != "boolean" || typeof cell.mines != "number" || typeof (cell.isQuestioned ?? false) != "boolean")
          {
-            this[emptyZone[i]].isOpen = true;
-            updatedCells.push(emptyZone[i]);
+            throw new Error("Invalid save cell at index " + i);
          }
-      };
 
-      if (this[cell].isOpen == false)
+         if (cell.isOpen && (cell.isFlagged || cell.isQuestioned)) throw new Error("Invalid save cell at index " + i + " (open cell flagged)");
+
+         if (cell.isMine) mines.push(i);
+      }
+
+      let options = {firstClickPolicy: data.firstClickPolicy ?? "safe", lazyMines: data.minesPending == true, questionMarks: data.questionMarks, limitFlags: data.limitFlags, lives: data.lives ?? 1, mode: data.mode ?? "normal"};
+
+      if (options.lazyMines)
       {
-         this[cell].isOpen = true;
-         updatedCells.push(cell);
+         if (mines.length != 0) throw new Error("Save mines number doesn't match the mine layout");
 
-         if (this[cell].isMine)
-         {
-            if (firstclick)
-            {
-               this[cell].isMine = false;
+         mines = validateNumber(data.mines, 1, width*height);
+      }
+      else if (mines.length != data.mines) throw new Error("Save mines number doesn't match the mine layout");
 
-               for (let i=0; i < this.cells; i++)
-               {
-                  if (this[i].isMine == false && i != cell)
-                  {
-                     this[i].isMine = true;
-                     break;
-                  }
-               }
 
-               this.resetMines();
+      let minefield = new Minefield(width, height, mines, data.seed ?? Math.random, options);
 
-               openIfEmptyZone(cell);
-            }
-         }
+      if (data.seed != null)
+      {
+         let randomCalls = validateNumber(data.randomCalls ?? 0, 0, MAX_RANDOM_CALLS);
+         let randomizer = gameStates.get(minefield).randomizer;
 
-         else openIfEmptyZone(cell);
+         for (let i=0; i<randomCalls; i++) randomizer();
       }
-      else if (this[cell].mines != 0 && (nearbyOpening || nearbyFlagging))
+
+      for (let i=0; i<minefield.cells; i++)
       {
-         let nearbyCells = this.getNearbyCells(cell);
-         let closedCells = 0, flaggedCells = 0, unflaggedCells = [];
+         if (minefield[i].mines != data.cells[i].mines) throw new Error("Save nearby-mines number doesn't match the mine layout at index " + i);
 
-         for (let j=0; j<nearbyCells.length; j++)
-         {
-            if (this[nearbyCells[j]].isOpen == false)
-            {
-               closedCells++;
+         minefield[i].isOpen = data.cells[i].isOpen;
+         minefield[i].isFlagged = data.cells[i].isFlagged;
+         minefield[i].isQuestioned = data.cells[i].isQuestioned ?? false;
+      }
 
-               if (this[nearbyCells[j]].isFlagged) flaggedCells++;
-               else unflaggedCells.push(nearbyCells[j]);
-            }
-         }
+      if (data.stats != null)
+      {
+         let stats = gameStates.get(minefield).stats;
 
-         if (this[cell].mines == flaggedCells && nearbyOpening)
+         for (let key in stats)
          {
-            for (let i=0; i<unflaggedCells.length; i++)
-            {
-               this[unflaggedCells[i]].isOpen = true;
-               updatedCells.push(unflaggedCells[i]);
+            let value = data.stats[key] ?? null;
 
-               if (this[unflaggedCells[i]].isMine == false)
-               {
-                  openIfEmptyZone(unflaggedCells[i]);
-               }
-            }
-         }
-         else if (this[cell].mines == closedCells && nearbyFlagging)
-         {
-            for (let i=0; i<unflaggedCells.length; i++)
-            {
-               this[unflaggedCells[i]].isFlagged = true;
-               updatedCells.push(unflaggedCells[i]);
-            }
+            if (typeof value != "number" && (value != null || stats[key] != null)) throw new Error("Invalid save stats");
+
+            stats[key] = value;
          }
       }
 
-      if (updatedCells.length >= 2 && updatedCells[0] == updatedCells[1]) updatedCells.shift();
-
-      return updatedCells;
+      return data.type == "Minefield2D" ? minefield.toMinefield2D() : minefield;
    }
 
    /**
-    * Checks if a minefield is solvable from a given cell (by not guessing)
-    *
-    * WARNING! This method gets resource-intensive the more the minefield is big.
-    * @param {Number} cell The index of the cell where to start
-    * @param {Boolean} restore If true, the Minefield will be restored after the function ends (default: true)
-    * @returns {Boolean} A Boolean value that indicates whether the minefield is solvable from the given cell
-    * @throws An error if parameters are invalid
+    * Returns a short code of the minefield (URL-safe base64) containing its size and mine layout, and optionally the open and flagged cells.
+    * @example minefield.toCode() //returns "AQAJCQAAAGIgFgEAECAABt0"
+    * @param {Boolean} includeState If true, the open and flagged cells are also included in the code (default: false)
+    * @returns {String} A code that can be decoded with {@link Minefield.fromCode}
+    * @throws An error if the mines haven't been placed yet (see the lazyMines option)
     */
-   isSolvableFrom(cell, restore=true)
+   toCode(includeState=false)
    {
-      cell = validateNumber(cell, 0, this.cells-1);
+      if (gameStates.get(this).minesPending) throw new Error("The mines haven't been placed yet");
 
-      let matrixIncludesArr = (matrix, arr) => JSON.stringify(matrix).includes(JSON.stringify(arr));
-
-      let firstClick = this.openCell(cell)
-      if (firstClick.length <= 1 && this[firstClick[0]].mines != 0)
-      {
-         if (restore) this[firstClick[0]].isOpen = false;
-         return false;
-      }
+      let bytes = [CODE_VERSION, (this instanceof Minefield2D ? 1 : 0) | (includeState ? 2 : 0)];
+      let masks = [[]];
 
+      if (includeState) masks.push([], []);
 
-      let updates = true;
+      pushVarint(bytes, this.width);
+      pushVarint(bytes, this.height);
 
-      while (updates)
+      this.forEachCell((cell, i) =>
       {
-         let phantomGroups = [];
-         updates = false;
+         masks[0][i] = cell.isMine;
 
-         let importantCells = new Set();
+         if (includeState)
+         {
+            masks[1][i] = cell.isOpen;
+            masks[2][i] = cell.isFlagged;
+         }
+      }, false, true);
 
-         for (let i=0; i<this.cells; i++)
+      for (let mask of masks)
+      {
+         for (let i=0; i<mask.length; i+=8)
          {
-            if (this[i].isOpen == false && this[i].isFlagged == false)
-            {
-               let nearbyCells = this.getNearbyCells(i);
+            let byte = 0;
 
-               for (let j=0; j<nearbyCells.length; j++)
-               {
-                  if (this[nearbyCells[j]].isOpen == true)
-                  {
-                     importantCells.add(nearbyCells[j]);
-                  }
-               }
+            for (let j=0; j<8 && i+j < mask.length; j++)
+            {
+               if (mask[i+j]) byte |= 1 << j;
             }
+
+            bytes.push(byte);
          }
+      }
 
-         importantCells = [...importantCells];
+      let checksum = getChecksum(bytes);
+      bytes.push(checksum >> 8, checksum & 255);
 
+      return encodeBase64(bytes);
+   }
 
-         for (let i of importantCells) //1st try: open cells using flags
-         {
-            if (this[i].mines == 0) //all nearby cells are fine
-            {
-               let emptyCells = this.getEmptyZone(i);
+   /**
+    * Decodes a minefield from a code made with {@link toCode}, rebuilding the correct object type (Minefield or Minefield2D).
+    * @example
+    * let minefield = Minefield.fromCode("AQAJCQAAAGIgFgEAECAABt0");
+    * @param {String} code The code of the minefield
+    * @returns {Minefield|Minefield2D} The decoded minefield
+    * @throws An error if the code is invalid or corrupted
+    */
+   static fromCode(code)
+   {
+      if (typeof code != "string") throw new Error("Invalid parameter type");
 
-               for (let j=0; j<emptyCells.length; j++)
-               {
-                  if (this[emptyCells[j]].isOpen == false)
-                  {
-                     this[emptyCells[j]].isOpen = true;
-                     updates = true;
-                  }
-               }
-            }
-            else
-            {
-               let nearbyCells = this.getNearbyCells(i);
+      let bytes = decodeBase64(code.trim());
 
-               let closedCells = 0, flaggedCells = 0, unflaggedCells = [];
+      if (bytes.length < 6) throw new Error("Invalid board code");
+      if (bytes[0] != CODE_VERSION) throw new Error("Unsupported board code version");
 
-               for (let j=0; j<nearbyCells.length; j++)
-               {
-                  if (this[nearbyCells[j]].isOpen == false)
-                  {
-                     closedCells++;
+      let checksum = getChecksum(bytes.slice(0, -2));
+      if (bytes[bytes.length-2] != checksum >> 8 || bytes[bytes.length-1] != (checksum & 255)) throw new Error("Corrupted board code (checksum doesn't match)");
 
-                     if (this[nearbyCells[j]].isFlagged) flaggedCells++;
-                     else unflaggedCells.push(nearbyCells[j]);
-                  }
-               }
+      let flags = bytes[1];
+      if (flags > 3) throw new Error("Invalid board code");
 
-               if (unflaggedCells.length > 0)
-               {
-                  if (this[i].mines == flaggedCells) //all nearby cells are fine (except for the flagged cells) > open them
-                  {
-                     for (let x of unflaggedCells) this[x].isOpen = true;
-                     updates = true
-                  }
+      let position = {index: 2};
+      let width = readVarint(bytes, position), height = readVarint(bytes, position);
 
-                  if (this[i].mines == closedCells) //all nearby closed cells are mines > flag them all
-                  {
-                     for (let x of unflaggedCells) this[x].isFlagged = true;
-                     updates = true;
-                  }
+      if (width < 1 || height < 1) throw new Error("Invalid board code dimensions");
 
-                  if (this[i].mines > flaggedCells) //all nearby not flagged cells have some mines > phantom flagging
-                  {
-                     let tempPhantomGroup = [this[i].mines - flaggedCells, ...unflaggedCells.sort((a, b) => a - b)];
+      let cells = width*height;
+      let maskLength = Math.ceil(cells / 8);
+      let masks = flags & 2 ? 3 : 1;
 
-                     if (matrixIncludesArr(phantomGroups, tempPhantomGroup) == false) phantomGroups.push(tempPhantomGroup);
-                  }
-               }
-            }
-         }
+      if (bytes.length - 2 - position.index != masks*maskLength) throw new Error("Board code length doesn't match its dimensions");
+
+      let readMask = (mask) =>
+      {
+         let start = position.index + mask*maskLength;
+         let values = [];
 
-         if (updates == false) //2nd try: open cells using phantom bombs
+         for (let i=0; i<maskLength*8; i++)
          {
-            let shiftUpdates = true;
+            let value = (bytes[start + (i >> 3)] >> (i & 7)) & 1;
 
-            while (shiftUpdates) //shifting & adding phantom bombs
-            {
-               shiftUpdates = false;
+            if (i < cells) values.push(value == 1);
+            else if (value == 1) throw new Error("Invalid board code");
+         }
 
-               for (let i of importantCells)
-               {
-                  let nearbyCells = this.getNearbyCells(i);
-                  let phantomGroupSum = [0];
+         return values;
+      };
 
-                  let closedCells = [];
-                  let flaggedCells = 0;
+      let mines = readMask(0).flatMap((isMine, i) => isMine ? [i] : []);
+      let minefield = new Minefield(width, height, mines);
 
-                  for (let k=0; k < nearbyCells.length; k++)
-                  {
-                     if (this[nearbyCells[k]].isFlagged) flaggedCells++;
-                     else if (this[nearbyCells[k]].isOpen == false) closedCells.push(nearbyCells[k]);
-                  }
+      if (flags & 2)
+      {
+         let openCells = readMask(1), flaggedCells = readMask(2);
 
-                  for (let j=0; j < phantomGroups.length; j++)
-                  {
-                     if (phantomGroups[j].slice(1).every(x => closedCells.includes(x)) && closedCells.length != phantomGroups[j].length-1)
-                     {
-                        let shift = closedCells.filter(x => phantomGroups[j].includes(x, 1) == false).sort((a, b) => a - b);
-                        let shiftMines = this[i].mines - phantomGroups[j][0] - flaggedCells;
-
-                        let shiftPhantomGroup = [shiftMines, ...shift];
-
-                        if (shift.length > 0 && shiftMines > 0 && matrixIncludesArr(phantomGroups, shiftPhantomGroup) == false)
-                        {
-                           let push = true;
-
-                           for (let k=0; k<phantomGroups.length; k++)
-                           {
-                              if (phantomGroups[k].every(x => shiftPhantomGroup.includes(x)))
-                              {
-                                 push = false;
-                                 break;
-                              }
-                           }
-
-                           if (push)
-                           {
-                              phantomGroups.push(shiftPhantomGroup)
-                              shiftUpdates = true;
-                           }
-                        }
-
-                        if (phantomGroups[j].slice(1).some(x => phantomGroupSum.includes(x, 1)) == false)
-                        {
-                           phantomGroupSum[0] += phantomGroups[j][0];
-                           phantomGroupSum.push(...phantomGroups[j].slice(1));
-                        }
-                     }
-                  }
+         for (let i=0; i<cells; i++)
+         {
+            if (openCells[i] && flaggedCells[i]) throw new Error("Invalid board code (open cell flagged)");
 
-                  if (phantomGroupSum[0] > 0 && matrixIncludesArr(phantomGroups, phantomGroupSum) == false)
-                  {
-                     phantomGroups.push(phantomGroupSum);
-                     shiftUpdates = true;
-                  }
-               }
-            }
+            minefield[i].isOpen = openCells[i];
+            minefield[i].isFlagged = flaggedCells[i];
+         }
+      }
 
+      return flags & 1 ? minefield.toMinefield2D() : minefield;
+   }
 
-            for (let i of importantCells) //open cells using phantom bombs
-            {
-               let nearbyCells = this.getNearbyCells(i);
+   /**
+    * Parses a minefield from a text like the ones made with {@link toText} (with allsee), a row for each line. Legend (every symbol can be changed):
+    *
+    *  - *: A closed mine
+    *  - .: A closed cell that isn't a mine
+    *  - [N]: An open cell, with its nearby mines number (that is checked)
+    *  - X: An open mine
+    *  - F: A flagged mine
+    *  - f: A flagged cell that isn't a mine
+    *
+    * @example
+    * let minefield = Minefield.fromText(`
+    *    F 1 0
+    *    1 1 0
+    *    . . 0`);
+    * @param {String} text The text of the minefield. Empty lines and spaces around rows are ignored
+    * @param {Object} symbols An Object with the symbols to use instead of the default ones: flag, wrongFlag, mine, closedMine, closedSafe and the cells separator (an empty String if cells aren't separated)
+    * @returns {Minefield} The parsed minefield
+    * @throws An error if the text is invalid (with its row and column)
+    */
+   static fromText(text, symbols={})
+   {
+      if (typeof text != "string") throw new Error("Invalid parameter type");
 
-               for (let j=0; j < phantomGroups.length; j++)
-               {
-                  if (nearbyCells.some(x => phantomGroups[j].includes(x, 1)))
-                  {
-                     let phantomGroupUncontainedCells = phantomGroups[j].slice(1).filter(x => nearbyCells.includes(x) == false).length;
+      symbols = {...TEXT_SYMBOLS, ...symbols};
 
-                     let flaggedCells = 0, unknownCells = [];
+      let rows = text.split("\n").map(row => row.trim()).filter(row => row != "");
 
-                     for (let k=0; k < nearbyCells.length; k++)
-                     {
-                        if (this[nearbyCells[k]].isFlagged) flaggedCells++;
-                        else if (this[nearbyCells[k]].isOpen == false && phantomGroups[j].includes(nearbyCells[k], 1) == false)
-                        {
-                           unknownCells.push(nearbyCells[k]);
-                        }
-                     }
+      if (rows.length == 0) throw new Error("The text doesn't contain any cell");
 
-                     if (unknownCells.length > 0)
-                     {
-                        if (this[i].mines == flaggedCells + phantomGroups[j][0] + unknownCells.length) //all unknown cells are mines > flag them all
-                        {
-                           for (let x of unknownCells) this[x].isFlagged = true;
-                           updates = true;
-                        }
-                        if (this[i].mines == flaggedCells + phantomGroups[j][0] - phantomGroupUncontainedCells && updates == false) //all unknown cells are clear > open them
-                        {
-                           for (let x of unknownCells)
-                           {
-                              if (this[x].isFlagged == false)
-                              {
-                                 this[x].isOpen = true;
-                                 updates = true;
-                              }
-                           }
-                        }
-                     }
-                  }
-               }
-            }
+      rows = rows.map(row =>
+      {
+         if (symbols.separator == "") return [...row];
+         if (symbols.separator.trim() == "") return row.split(/\s+/);
 
+         return row.split(symbols.separator).map(char => char.trim());
+      });
 
-            if (updates == false) //3th try: open cells using remaining flags count
-            {
-               if (this.usedFlags == this.mines)
-               {
-                  for (let i=0; i < this.cells; i++)
-                  {
-                     if (this[i].isOpen == false && this[i].isFlagged == false)
-                     {
-                        this[i].isOpen = true;
-                     }
-                  }
-               }
-               else
-               {
-                  phantomGroups.sort((a, b) => a.length - b.length)
-                  let remainingPhantomGroups = [0];
+      let width = rows[0].length, height = rows.length;
+      let mines = [], states = [];
 
-                  for (let i=0; i<phantomGroups.length; i++)
-                  {
-                     if (phantomGroups[i].slice(1).some(x => JSON.stringify(remainingPhantomGroups.slice(1)).includes(x)) == false)
-                     {
-                        remainingPhantomGroups[0] += phantomGroups[i][0];
-                        remainingPhantomGroups.push(...phantomGroups[i].slice(1));
-                     }
-                  }
+      for (let y=0; y<height; y++)
+      {
+         if (rows[y].length != width) throw new Error("Row " + (y+1) + " has " + rows[y].length + " cells instead of " + width);
 
-                  if (remainingPhantomGroups[0] == this.mines - this.usedFlags)
-                  {
-                     for (let i=0; i < this.cells; i++)
-                     {
-                        if (this[i].isOpen == false && this[i].isFlagged == false && remainingPhantomGroups.includes(i, 1) == false)
-                        {
-                           this[i].isOpen = true;
-                           updates = true;
-                        }
-                     }
-                  }
-               }
+         for (let x=0; x<width; x++)
+         {
+            let char = rows[y][x];
+            let state = {isOpen: false, isFlagged: false, mines: null};
+
+            if (char == symbols.closedMine || char == symbols.mine || char == symbols.flag) mines.push(x + y*width);
+
+            if (char == symbols.mine) state.isOpen = true;
+            else if (char == symbols.flag || char == symbols.wrongFlag) state.isFlagged = true;
+            else if (/^[0-8]$/.test(char))
+            {
+               state.isOpen = true;
+               state.mines = Number(char);
+            }
+            else if (char != symbols.closedMine && char != symbols.closedSafe)
+            {
+               throw new Error("Unknown symbol \"" + char + "\" at row " + (y+1) + ", column " + (x+1));
             }
+
+            states.push(state);
          }
       }
 
+      let minefield = new Minefield(width, height, mines);
 
-      let isSolvable = false;
-      if (this.isCleared()) isSolvable = true;
-
-      if (restore)
+      for (let i=0; i<minefield.cells; i++)
       {
-         for (let i=0; i < this.cells; i++)
+         if (states[i].mines != null && states[i].mines != minefield[i].mines)
          {
-            this[i].isOpen = false;
-            this[i].isFlagged = false;
+            throw new Error("Wrong nearby-mines number at row " + (Math.floor(i/width)+1) + ", column " + (i%width+1) + " (it should be " + minefield[i].mines + ")");
          }
+
+         minefield[i].isOpen = states[i].isOpen;
+         minefield[i].isFlagged = states[i].isFlagged;
       }
 
-      return isSolvable;
+      return minefield;
    }
 
    /**
-    * Checks the minefield to find hints about its state
-    * @param {Boolean} accurateHint If false, the function will return the nearby cells around the hint. If true, it will only return the exact cells to open/flag. (default: false)
-    * @param {Boolean} getOneHint If true, the function will only return a single hint (the first one found starting from the top) (default: true)
-    * @returns {Array.<any>} An array containing arrays of the indexes of hint cells + a char value at index 0 of each (O/F) indicating if the hint is about opening or flagging cells
-    * @example minefield.getHint(false, false) //returns [['O', 6, 7, 8], ['F', 15, 25, 35]]
+    * Generates a minefield that is solvable from the given cell without guessing (see {@link isSolvableFrom}).
+    * No mines are placed on the given cell and around it, so that it always starts with an opening.
+    *
+    * WARNING! This method gets resource-intensive the more the minefield is big and dense.
+    * @example
+    * let minefield = Minefield.generateNoGuess(30, 16, 99, 247, seededRandom, {maxAttempts: 500});
+    * @param {Number} width The width of the minefield (1-based)
+    * @param {Number} height The height of the minefield (1-based)
+    * @param {Number} mines The number of total mines
+    * @param {Number|Array.<number>} cell The index of the cell where the game will start. If the X and Y coordinates are given (in an array), a Minefield2D object is returned instead
+    * @param {Function|String|Number} randomizer A function that returns a random decimal number between 0 and 1, or a seed for the built-in one (see {@link Minefield.createRandomizer}) (default: {@link Math.random}). The result is deterministic if it is seeded, as long as the time limit isn't hit
+    * @param {Number} maxAttempts The maximum number of minefields to try before giving up (default: 1000)
+    * @param {Number} maxTime The maximum number of milliseconds to spend before giving up (default: Infinity)
+    * @param {Boolean} complete If true, minefields are checked with the complete mode of {@link isSolvableFrom}, so that no logically solvable one is rejected (default: false)
+    * @returns {Minefield|Minefield2D|null} A minefield solvable from the given cell, or null if the limits were hit before finding one
+    * @throws An error if parameters are invalid
     */
-   getHint(accurateHint=false, getOneHint=true)
+   static generateNoGuess(width, height, mines, cell, randomizer = Math.random, {maxAttempts=1000, maxTime=Infinity, complete=false} = {})
    {
-      let matrixIncludesArr = (matrix, arr) => JSON.stringify(matrix).includes(JSON.stringify(arr));
-
-      let hintCells = [];
-      let accurateHintCells = [];
+      return runToEnd(findNoGuessMinefield(width, height, mines, cell, randomizer, maxAttempts, maxTime, complete, {}));
+   }
 
-      let phantomGroups = [];
-      let importantCells = new Set();
+   /**
+    * Generates the daily challenge of the given key (e.g. a date): everyone gets the same minefield and start cell from the same key, on every JS engine.
+    * The size is picked from a list, and the minefield is solvable without guessing from the start cell (see {@link isSolvableFrom}), with a difficulty in the given band (see {@link getDifficulty}).
+    *
+    * Only the built-in seeded randomizer and integer math are used, so there's no time limit, as it would make the result depend on the device.
+    * The returned minefield is seeded with the key (see {@link seed}), so its first-click mine moves are the same for everyone too, also after being saved with {@link toJSON}.
+    * @example
+    * let {minefield, cell} = Minefield.generateDaily("2024-05-01", {minGrade: "subset"});
+    * minefield.openCell(cell);
+    * @param {String|Number|Date} key The key of the challenge. Dates are turned into their UTC day ("YYYY-MM-DD")
+    * @param {Array.<Array.<number>>} sizes The sizes to pick from, as [width, height, mines] arrays (default: [[9, 9, 10], [16, 16, 40], [30, 16, 99]])
+    * @param {String} minGrade The easiest difficulty grade allowed: "single", "subset" or "mineCount" (default: "single")
+    * @param {String} maxGrade The hardest difficulty grade allowed (default: "mineCount")
+    * @param {Number} maxAttempts The maximum number of minefields to try before giving up (default: 10000)
+    * @param {Boolean} is2D If true, a Minefield2D object and the start cell coordinates are returned (default: false)
+    * @returns {Object|null} An Object containing the "minefield", the start "cell" and its "difficulty" (see {@link getDifficulty}), or null if no minefield in the difficulty band was found within the attempts
+    * @throws An error if parameters are invalid
+    */
+   static generateDaily(key, {sizes=DAILY_SIZES, minGrade="single", maxGrade="mineCount", maxAttempts=10000, is2D=false} = {})
+   {
+      if (key instanceof Date) key = key.toISOString().slice(0, 10);
 
-      for (let i=0; i<this.cells; i++)
-      {
-         if (this[i].isOpen == false && this[i].isFlagged == false)
-         {
-            let nearbyCells = this.getNearbyCells(i);
+      if (typeof key != "string" && typeof key != "number") throw new Error("Invalid parameter type");
+      if (Array.isArray(sizes) == false || sizes.length == 0 || sizes.some(size => Array.isArray(size) == false)) throw new Error("Invalid parameter type");
 
-            for (let j=0; j<nearbyCells.length; j++)
-            {
-               if (this[nearbyCells[j]].isOpen == true)
-               {
-                  importantCells.add(nearbyCells[j]);
-               }
-            }
-         }
-      }
+      let minLevel = DIFFICULTY_GRADES.indexOf(minGrade), maxLevel = DIFFICULTY_GRADES.indexOf(maxGrade);
 
-      importantCells = [...importantCells];
+      if (minLevel == -1 || maxLevel == -1) throw new Error("Unknown difficulty grade");
+      if (minLevel > maxLevel || minLevel > DIFFICULTY_GRADES.indexOf("mineCount")) throw new Error("Invalid difficulty band");
 
+      maxAttempts = validateNumber(maxAttempts, 1);
 
-      for (let i of importantCells) //1st try: using flags
-      {
-         if (this[i].isOpen)
-         {
-            if (this[i].mines == 0) //all nearby cells are fine
-            {
-               let nearbyCells = this.getNearbyCells(i);
-               let closedCells = nearbyCells.filter(x => this[x].isOpen == false)
+      let randomizer = Minefield.createRandomizer(key);
 
-               if (closedCells.length > 0)
-               {
-                  hintCells.push(["O", ...nearbyCells, i])
-                  accurateHintCells.push(["O", ...closedCells]);
-               }
-            }
-            else
-            {
-               let nearbyCells = this.getNearbyCells(i);
+      let [width, height, mines] = sizes[Math.floor(randomizer() * sizes.length)];
+      let template = new Minefield(validateNumber(width, 1), validateNumber(height, 1), []);
 
-               let closedCells = 0, flaggedCells = 0, unflaggedCells = [];
+      let cell = Math.floor(randomizer() * template.cells);
+      let safeArea = template.getNearbyCells(cell, true);
 
-               for (let j=0; j<nearbyCells.length; j++)
-               {
-                  if (this[nearbyCells[j]].isOpen == false)
-                  {
-                     closedCells++;
+      mines = validateNumber(mines, 0, template.cells - safeArea.length);
 
-                     if (this[nearbyCells[j]].isFlagged) flaggedCells++;
-                     else unflaggedCells.push(nearbyCells[j]);
-                  }
-               }
+      for (let attempt=0; attempt < maxAttempts; attempt++)
+      {
+         let minefield = new Minefield(template.width, template.height, getRandomMines(template.cells, mines, safeArea, randomizer), key);
 
-               if (unflaggedCells.length > 0)
-               {
-                  if (this[i].mines == flaggedCells) //all nearby cells are fine (except for the flagged cells) > open them
-                  {
-                     hintCells.push(["O", ...nearbyCells, i])
-                     accurateHintCells.push(["O", ...unflaggedCells]);
-                  }
+         if (minefield.isSolvableFrom(cell) == false) continue;
 
-                  if (this[i].mines == closedCells) //all nearby closed cells are mines > flag them all
-                  {
-                     hintCells.push(["F", ...nearbyCells, i])
-                     accurateHintCells.push(["F", ...unflaggedCells]);
-                  }
+         let difficulty = minefield.getDifficulty(cell);
 
-                  if (this[i].mines > flaggedCells) //all nearby not flagged cells have some mines > phantom flagging
+         if (difficulty.level >= minLevel && difficulty.level <= maxLevel)
+         {
+            return {minefield: is2D ? minefield.toMinefield2D() : minefield, cell: is2D ? minefield.getCellCords(cell) : cell, difficulty: difficulty};
+         }
+      }
+
+      return null;
+   }
+
+   /**
+    * The same as {@link Minefield.generateNoGuess}, but it pauses every few milliseconds so that it doesn't block the event loop (e.g. a browser UI), and it can be stopped.
+    * @example
+    * let controller = new AbortController();
+    * let minefield = await Minefield.generateNoGuessAsync(30, 16, 99, 247, "seed", {signal: controller.signal, onProgress: progress => console.log(progress.attempts)});
+    * @param {Number} width The width of the minefield (1-based)
+    * @param {Number} height The height of the minefield (1-based)
+    * @param {Number} mines The number of total mines
+    * @param {Number|Array.<number>} cell The index of the cell where the game will start. If the X and Y coordinates are given (in an array), a Minefield2D object is returned instead
+    * @param {Function|String|Number} randomizer A function that returns a random decimal number between 0 and 1, or a seed for the built-in one (default: {@link Math.random})
+    * @param {Number} maxAttempts The maximum number of minefields to try before giving up (default: 1000)
+    * @param {Number} maxTime The maximum number of milliseconds to spend before giving up (default: Infinity)
+    * @param {Boolean} complete If true, minefields are checked with the complete mode of {@link isSolvableFrom} (default: false)
+    * @param {AbortSignal} signal An AbortSignal (or any Object with an "aborted" property) that stops the generation when aborted (default: null)
+    * @param {Function} onProgress A function called on every pause with an Object containing the "attempts" made so far, and the "solvedCells" (open or flagged) and "cells" of the minefield being checked (default: null)
+    * @returns {Promise<Minefield|Minefield2D|null>} A Promise that resolves to a minefield solvable from the given cell, or to null if the limits were hit before finding one
+    * @throws An error if parameters are invalid, or the abort reason if the signal gets aborted
+    */
+   static async generateNoGuessAsync(width, height, mines, cell, randomizer = Math.random, {maxAttempts=1000, maxTime=Infinity, complete=false, signal=null, onProgress=null} = {})
+   {
+      let progress = {attempts: 0, minefield: null};
+      let getProgress = () => ({attempts: progress.attempts, solvedCells: countSolvedCells(progress.minefield), cells: progress.minefield.cells});
+
+      return runAsync(findNoGuessMinefield(width, height, mines, cell, randomizer, maxAttempts, maxTime, complete, progress), getProgress, {signal, maxTime, onProgress});
+   }
+
+   /**
+    * Runs a solving or generating task that is made of plain data only, and returns plain data too, so that it can be sent to a Web Worker (and back) with postMessage. Task types:
+    *
+    *  - isSolvableFrom: Checks the "board" (saved with {@link toJSON}) from the "cell", with the "restore" (default: true), "complete" and "maxTime" options (see {@link isSolvableFromAsync}). The result is returned with the board, saved again
+    *  - generateNoGuess: Generates a minefield with the "width", "height", "mines", "cell", "seed" (instead of the randomizer), "maxAttempts", "maxTime" and "complete" options (see {@link Minefield.generateNoGuessAsync}). The result is the saved minefield, or null
+    *
+    * @example
+    * //worker.js
+    * onmessage = async (event) => postMessage(await Minefield.runTask(event.data));
+    * //main.js
+    * worker.postMessage({type: "generateNoGuess", width: 30, height: 16, mines: 99, cell: 247, seed: "seed"});
+    * worker.onmessage = (event) => minefield = Minefield.fromJSON(event.data.result);
+    * @param {Object} task The task, with its "type" and options
+    * @param {AbortSignal} signal An AbortSignal (or any Object with an "aborted" property) that stops the task when aborted (default: null)
+    * @param {Function} onProgress A function called on every pause with the progress of the task (default: null)
+    * @returns {Promise<Object>} A Promise that resolves to an Object containing the task "type", its "result" and, for isSolvableFrom, the "board"
+    * @throws An error if the task is invalid, or the abort reason if the signal gets aborted
+    */
+   static async runTask(task, {signal=null, onProgress=null} = {})
+   {
+      if (task == null || typeof task != "object") throw new Error("Invalid task");
+
+      if (task.type == "isSolvableFrom")
+      {
+         let minefield = Minefield.fromJSON(task.board);
+         let options = {restore: task.restore ?? true, complete: task.complete ?? false, maxTime: task.maxTime ?? Infinity, signal, onProgress};
+
+         let result = await minefield.isSolvableFromAsync(task.cell, options);
+
+         return {type: task.type, result: result, board: minefield.toJSON()};
+      }
+
+      if (task.type == "generateNoGuess")
+      {
+         let options = {maxAttempts: task.maxAttempts ?? 1000, maxTime: task.maxTime ?? Infinity, complete: task.complete ?? false, signal, onProgress};
+
+         let minefield = await Minefield.generateNoGuessAsync(task.width, task.height, task.mines, task.cell, task.seed ?? Math.random, options);
+
+         return {type: task.type, result: minefield?.toJSON() ?? null};
+      }
+
+      throw new Error("Unknown task type");
+   }
+
+   /**
+    * Plays many seeded games with the autoplay bot (see {@link autoplay}) for each configuration, to measure how hard they are.
+    * The same seed gives the same games, and the configurations with the same size and mines number get the same minefields, so that they can be compared.
+    *
+    * WARNING! This method gets resource-intensive the more the games are and the minefields are big.
+    * @example
+    * Minefield.simulate([{width: 9, height: 9, mines: 10}, {width: 30, height: 16, mines: 99, firstClickPolicy: "area"}], 100, {seed: "presets"});
+    * //returns [{config: {...}, games: 100, wins: 91, winRate: 0.91, averageGuesses: 0.4, averageTime: 2.1}, ...]
+    * @param {Array.<Object>} configs The configurations to play, each containing the "width", "height" and "mines" number, the constructor options (like "firstClickPolicy", "lives" or "mode") and the "cell", "guessStrategy" and "maxGuesses" options of {@link autoplay}
+    * @param {Number} games The number of games to play for each configuration (default: 100)
+    * @param {String|Number} seed The seed of the games (default: 0)
+    * @param {String|Function} guessStrategy The guess strategy of the configurations that don't have one (see {@link autoplay}) (default: "lowestRisk")
+    * @returns {Array.<Object>} An Array containing, for each configuration, an Object with the "config", the number of "games" and "wins", the "winRate" (between 0 and 1), the "averageGuesses" and the "averageTime" of a game (in milliseconds)
+    * @throws An error if parameters are invalid
+    */
+   static simulate(configs, games=100, {seed=0, guessStrategy="lowestRisk"} = {})
+   {
+      if (Array.isArray(configs) == false || configs.some(config => config == null || typeof config != "object")) throw new Error("Invalid parameter type");
+
+      games = validateNumber(games, 1);
+
+      let results = [];
+
+      for (let config of configs)
+      {
+         let {width, height, mines, cell=null, guessStrategy: configStrategy=guessStrategy, maxGuesses=Infinity, ...options} = config;
+         let wins = 0, guesses = 0, time = 0;
+
+         for (let i=0; i<games; i++)
+         {
+            let gameSeed = seed + ":" + i;
+            let startTime = Date.now();
+
+            let minefield = new Minefield(width, height, mines, gameSeed, options);
+            let result = minefield.autoplay({cell, guessStrategy: configStrategy, maxGuesses, randomizer: Minefield.createRandomizer(gameSeed + ":bot")});
+
+            time += Date.now() - startTime;
+            guesses += result.guesses;
+            if (result.won) wins++;
+         }
+
+         results.push({config: config, games: games, wins: wins, winRate: wins / games, averageGuesses: guesses / games, averageTime: time / games});
+      }
+
+      return results;
+   }
+
+
+   /**
+    * Creates the built-in seeded randomizer (sfc32, seeded with the cyrb128 hash of the seed). It only uses 32-bit integer math, so it gives the same numbers on every JS engine.
+    * @example
+    * let randomizer = Minefield.createRandomizer("2024-05-01");
+    * randomizer(); //returns 0.2182...
+    * @param {String|Number} seed The seed (numbers are used as their string, so 42 and "42" are the same seed)
+    * @returns {Function} A function that returns a pseudorandom decimal number between 0 (included) and 1 (excluded)
+    * @throws An error if the seed isn't a String or a finite Number
+    */
+   static createRandomizer(seed)
+   {
+      if (typeof seed != "string" && (typeof seed != "number" || Number.isFinite(seed) == false)) throw new Error("Invalid parameter type");
+
+      let [a, b, c, d] = hashSeed(String(seed));
+
+      return () =>
+      {
+         let t = (a + b) | 0;
+
+         a = b ^ (b >>> 9);
+         b = (c + (c << 3)) | 0;
+         c = (c << 21) | (c >>> 11);
+         d = (d + 1) | 0;
+         t = (t + d) | 0;
+         c = (c + t) | 0;
+
+         return (t >>> 0) / 4294967296;
+      };
+   }
+
+
+   /**
+    * Opens a given cell and may open nearby ones following the minesweeper game rules. The opened cells lose their flag or question mark.
+    * @example
+    * minefield.openCell(20, false, {nearbyOpening: true, nearbyFlagging: false});
+    * @param {Number} cell The index of the cell to open
+    * @param {Boolean} firstclick If true, the mines may be moved following the first-click policy (see {@link firstClickPolicy}). If false, they may be moved following the game mode instead (see {@link mode}) (default: {@link isNew()})
+    * @param {Boolean} nearbyOpening Enables the opening of nearby cells if the given cell is already open and its nearby mines number matches the number of nearby flagged cells (default: true)
+    * @param {Boolean} nearbyFlagging Enables the flagging of nearby cells if the given cell is already open and its nearby mines number matches the number of nearby closed cells (unless there aren't enough flags left, see {@link limitFlags}) (default: true)
+    * @returns {Array.<number>} An array containing the indexes of the updated cells
+    * @throws An error if parameters are invalid
+    */
+   openCell(cell, firstclick=this.isNew(), {nearbyOpening=true, nearbyFlagging=true} = {})
+   {
+      cell = validateNumber(cell, 0, this.cells-1);
+
+      let move = beginMove(this, "open", cell, {nearbyOpening, nearbyFlagging});
+      let updatedCells = [];
+
+      let open = (cell) =>
+      {
+         this[cell].isOpen = true;
+         this[cell].isFlagged = false;
+         this[cell].isQuestioned = false;
+         updatedCells.push(cell);
+      };
+
+      let openIfEmptyZone = (cell) =>
+      {
+         let emptyZone = this.getEmptyZone(cell);
+
+         for (let i=0; i<emptyZone.length; i++) open(emptyZone[i]);
+      };
+
+      if (this[cell].isOpen == false)
+      {
+         if (firstclick || gameStates.get(this).minesPending) applyFirstClickPolicy(this, cell);
+         else if (gameStates.get(this).mode != "normal") applyGameMode(this, [cell]);
+
+         open(cell);
+
+         if (this[cell].isMine == false) openIfEmptyZone(cell);
+      }
+      else if (this[cell].isMine == false && this[cell].mines != 0 && (nearbyOpening || nearbyFlagging))
+      {
+         let {closedCells, flaggedCells, unflaggedCells} = countNearbyCells(this, this.getNearbyCells(cell));
+
+         if (this[cell].mines == flaggedCells && nearbyOpening)
+         {
+            if (gameStates.get(this).mode == "evil") applyGameMode(this, unflaggedCells);
+
+            for (let i=0; i<unflaggedCells.length; i++)
+            {
+               open(unflaggedCells[i]);
+
+               if (this[unflaggedCells[i]].isMine == false)
+               {
+                  openIfEmptyZone(unflaggedCells[i]);
+               }
+            }
+         }
+         else if (this[cell].mines == closedCells && nearbyFlagging && this.canFlag(unflaggedCells.length))
+         {
+            for (let i=0; i<unflaggedCells.length; i++)
+            {
+               this[unflaggedCells[i]].isFlagged = true;
+               this[unflaggedCells[i]].isQuestioned = false;
+               updatedCells.push(unflaggedCells[i]);
+            }
+         }
+      }
+
+      if (updatedCells.length >= 2 && updatedCells[0] == updatedCells[1]) updatedCells.shift();
+
+      endMove(this, move, updatedCells);
+
+      return updatedCells;
+   }
+
+   /**
+    * Flags a closed cell if it isn't flagged, or unflags it if it is (recorded in the move history).
+    * If question marks are enabled (see {@link questionMarks}), flagged cells get a question mark instead of being unflagged.
+    * @param {Number} cell The index of the cell to flag/unflag
+    * @returns {Array.<number>} An array containing the indexes of the updated cells (empty if the cell is already open, or if there aren't flags left)
+    * @throws An error if parameters are invalid
+    */
+   toggleFlag(cell)
+   {
+      cell = validateNumber(cell, 0, this.cells-1);
+
+      let flagState = "flag";
+
+      if (this[cell].isFlagged) flagState = gameStates.get(this).questionMarks ? "question" : "none";
+      else if (this[cell].isQuestioned) flagState = "none";
+      else if (this.canFlag() == false && gameStates.get(this).questionMarks) flagState = "question";
+
+      return setFlagState(this, cell, flagState);
+   }
+   /**
+    * Sets the flag state of a closed cell (recorded in the move history)
+    * @example minefield.setFlag(20, "question") //returns [20]
+    * @param {Number} cell The index of the cell
+    * @param {String} flagState The new state of the cell: "none", "flag" or "question"
+    * @returns {Array.<number>} An array containing the indexes of the updated cells (empty if the cell is open, already in that state, or if there aren't flags left)
+    * @throws An error if parameters are invalid
+    */
+   setFlag(cell, flagState)
+   {
+      cell = validateNumber(cell, 0, this.cells-1);
+
+      if (FLAG_STATES.includes(flagState) == false) throw new Error("Unknown flag state");
+
+      return setFlagState(this, cell, flagState);
+   }
+   /**
+    * @param {Number} flags The number of flags to place (default: 1)
+    * @returns {Boolean} A Boolean value that indicates whether the given number of flags can be placed (always true, unless flags are limited, see {@link limitFlags}). Exploded mines count as flags
+    */
+   canFlag(flags=1)
+   {
+      return gameStates.get(this).limitFlags == false || flags <= this.remainingMines;
+   }
+
+
+   /**
+    * Adds a listener that gets called whenever the given event happens because of {@link openCell}, {@link toggleFlag}, {@link undo} or {@link redo}. Events:
+    *
+    *  - open/close: Some cells were opened/closed ("cells" property)
+    *  - flag/unflag: Some cells were flagged/unflagged ("cells" property)
+    *  - question/unquestion: Some cells were marked/unmarked with a question mark ("cells" property)
+    *  - relocate: Some mines were moved on the first click or by the game mode ("from" and "to" properties). When lazy mines are placed, "from" is empty
+    *  - explode: Some mines were opened ("cells" property)
+    *  - win: The minefield has been cleared
+    *  - lose: Some mines were opened and no lives are left (see {@link lives}) ("cells" property)
+    *
+    * @example
+    * minefield.on("open", event => render(event.cells));
+    * @param {String} type The name of the event
+    * @param {Function} listener A function that receives an Object containing the event "type" and the indexes of the concerned cells
+    * @throws An error if parameters are invalid
+    */
+   on(type, listener)
+   {
+      addListener(this, type, listener, false);
+   }
+   /**
+    * Removes a listener added with {@link on}
+    * @param {String} type The name of the event
+    * @param {Function} listener The function to remove
+    */
+   off(type, listener)
+   {
+      let state = gameStates.get(this);
+
+      state.listeners = state.listeners.filter(entry => entry.type != type || entry.listener != listener);
+   }
+
+
+   /**
+    * Reverts the last move made with {@link openCell} or {@link toggleFlag} (including first-click mine relocations).
+    *
+    * Note that changes made by writing directly on the cells (or by {@link isSolvableFrom}) aren't recorded in the move history
+    * @returns {Array.<number>} An array containing the indexes of the updated cells (empty if there's nothing to undo)
+    */
+   undo()
+   {
+      let state = gameStates.get(this);
+
+      if (state.historyIndex == 0) return [];
+
+      state.historyIndex--;
+
+      let updatedCells = applyMove(this, state.history[state.historyIndex], "before");
+      recordAction(this, "undo", null, updatedCells);
+
+      return updatedCells;
+   }
+   /**
+    * Re-applies the last move reverted with {@link undo}
+    * @returns {Array.<number>} An array containing the indexes of the updated cells (empty if there's nothing to redo)
+    */
+   redo()
+   {
+      let state = gameStates.get(this);
+
+      if (state.historyIndex == state.history.length) return [];
+
+      state.historyIndex++;
+
+      let updatedCells = applyMove(this, state.history[state.historyIndex-1], "after");
+      recordAction(this, "redo", null, updatedCells);
+
+      return updatedCells;
+   }
+   /**
+    * @returns {Boolean} A Boolean value that indicates whether there is a move that can be reverted with {@link undo}
+    */
+   canUndo()
+   {
+      return gameStates.get(this).historyIndex > 0;
+   }
+   /**
+    * @returns {Boolean} A Boolean value that indicates whether there is a move that can be re-applied with {@link redo}
+    */
+   canRedo()
+   {
+      let state = gameStates.get(this);
+
+      return state.historyIndex < state.history.length;
+   }
+   /**
+    * Returns the moves that have been made (and not reverted) in the current game, from the oldest to the newest.
+    * @example minefield.getHistory() //returns [{action: "open", cell: 20, cells: [20, 21, 30]}, {action: "flag", cell: 5, cells: [5]}]
+    * @returns {Array.<Object>} An array of moves, each containing the "action" that was made (open/flag), the "cell" it was made on and the indexes of the updated "cells"
+    */
+   getHistory()
+   {
+      let state = gameStates.get(this);
+
+      return state.history.slice(0, state.historyIndex).map(move => ({action: move.action, cell: move.cell, cells: move.changes.map(change => change.index)}));
+   }
+
+   /**
+    * Returns the replay of the game: the board before the first action, and every action made with {@link openCell}, {@link toggleFlag}, {@link setFlag}, {@link undo} and {@link redo} since the minefield was created (or restored).
+    *
+    * Cells are always saved as indexes, also for Minefield2D objects.
+    * @example minefield.getReplay() //returns {version: 1, type: "Minefield", width: 9, height: 9, lives: 1, questionMarks: false, limitFlags: false, mines: [3, 17, ...], open: [], flagged: [], actions: [{type: "open", cell: 40, time: 0, cells: [40, 41, 31]}, {type: "flag", cell: 3, time: 1520, cells: [3]}]}
+    * @returns {Object} A plain Object with the replay, that can be played with {@link Minefield.replay} and {@link Minefield.playReplay}. Each action contains its type (open/chord/flag/unflag/question/undo/redo), the index of the cell, the milliseconds passed since the first action, the indexes of the updated cells and, if the mines were moved, their new indexes
+    */
+   getReplay()
+   {
+      let recording = gameStates.get(this).recording;
+      let initial = recording.initial ?? this.toJSON().cells;
+      let replay = {version: REPLAY_VERSION, type: this instanceof Minefield2D ? "Minefield2D" : "Minefield", width: this.width, height: this.height, lives: this.lives, questionMarks: this.questionMarks, limitFlags: this.limitFlags, mines: [], open: [], flagged: [], questioned: []};
+
+      initial.forEach((cell, i) =>
+      {
+         if (cell.isMine) replay.mines.push(i);
+         if (cell.isOpen) replay.open.push(i);
+         if (cell.isFlagged) replay.flagged.push(i);
+         if (cell.isQuestioned) replay.questioned.push(i);
+      });
+
+      replay.actions = recording.actions.map(action => JSON.parse(JSON.stringify(action)));
+
+      return replay;
+   }
+   /**
+    * Plays a replay made with {@link getReplay} step by step, checking that every action updates the same cells it did when it was recorded.
+    * @example
+    * for (let step of Minefield.replay(replayData)) render(step.minefield, step.cells);
+    * @param {Object|String} data The replay, either as an Object or as a JSON string
+    * @yields {Object} An Object for each action, containing its "type", "cell", "time", the updated "cells" (as returned by {@link openCell}, coordinates for Minefield2D replays) and the "minefield" being replayed
+    * @returns {Minefield|Minefield2D} The minefield at the end of the replay
+    * @throws An error if the replay is invalid or doesn't match its board
+    */
+   static *replay(data)
+   {
+      if (typeof data == "string") data = JSON.parse(data);
+
+      if (data == null || typeof data != "object" || Array.isArray(data.actions) == false) throw new Error("Invalid replay data");
+      if (data.version != REPLAY_VERSION) throw new Error("Unsupported replay version");
+      if (data.type != "Minefield" && data.type != "Minefield2D") throw new Error("Unknown minefield type");
+
+      let width = validateNumber(data.width, 0), height = validateNumber(data.height, 0);
+      let minefield = new Minefield(width, height, validateCellList(data.mines, width*height, "mines"), Math.random, {lives: data.lives ?? 1, questionMarks: data.questionMarks ?? false, limitFlags: data.limitFlags ?? false});
+
+      for (let i of validateCellList(data.open, width*height, "open")) minefield[i].isOpen = true;
+      for (let i of validateCellList(data.flagged, width*height, "flagged")) minefield[i].isFlagged = true;
+      for (let i of validateCellList(data.questioned ?? [], width*height, "questioned")) minefield[i].isQuestioned = true;
+
+      let minefield2D = data.type == "Minefield2D" ? minefield.toMinefield2D() : null;
+      let toCords = cell => minefield2D == null || cell == null ? cell : minefield.getCellCords(cell);
+      let lastTime = 0;
+
+      for (let i=0; i<data.actions.length; i++)
+      {
+         let action = data.actions[i];
+
+         if (action == null || typeof action.time != "number" || action.time < lastTime || Array.isArray(action.cells) == false)
+         {
+            throw new Error("Invalid replay action at index " + i);
+         }
+
+         let cells = replayAction(minefield, action, i);
+
+         if (cells.length != action.cells.length || cells.some((cell, j) => cell != action.cells[j]))
+         {
+            throw new Error("The replay doesn't match its board at action " + i);
+         }
+
+         lastTime = action.time;
+
+         yield {type: action.type, cell: toCords(action.cell ?? null), time: action.time, cells: cells.map(toCords), minefield: minefield2D ?? minefield};
+      }
+
+      return minefield2D ?? minefield;
+   }
+   /**
+    * Plays a replay made with {@link getReplay} at real speed (or faster/slower), calling the given function on each action (see {@link Minefield.replay}).
+    * @example
+    * await Minefield.playReplay(replayData, step => render(step.minefield), 2);
+    * @param {Object|String} data The replay, either as an Object or as a JSON string
+    * @param {Function} onStep A function that receives an Object for each action, when its time comes
+    * @param {Number} speed How many times faster than real speed the replay is played (default: 1)
+    * @returns {Promise.<Minefield|Minefield2D>} A Promise that resolves with the minefield at the end of the replay
+    * @throws An error if the parameters are invalid, or if the replay is invalid or doesn't match its board (rejecting the Promise)
+    */
+   static async playReplay(data, onStep, speed=1)
+   {
+      if (typeof onStep != "function" || typeof speed != "number" || (speed > 0) == false) throw new Error("Invalid parameter type");
+
+      let steps = Minefield.replay(data);
+      let startTime = Date.now();
+
+      while (true)
+      {
+         let step = steps.next();
+
+         if (step.done) return step.value;
+
+         let wait = startTime + step.value.time/speed - Date.now();
+         if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+         onStep(step.value);
+      }
+   }
+
+
+   /**
+    * Pauses the game clock (it gets resumed by {@link resume} or by the next move). Nothing happens if the game isn't going on
+    */
+   pause()
+   {
+      let stats = gameStates.get(this).stats;
+
+      if (stats.startTime != null && stats.endTime == null && stats.pauseTime == null) stats.pauseTime = Date.now();
+   }
+   /**
+    * Resumes the game clock paused with {@link pause}
+    */
+   resume()
+   {
+      let stats = gameStates.get(this).stats;
+
+      if (stats.pauseTime == null) return;
+
+      stats.pausedTime += Date.now() - stats.pauseTime;
+      stats.pauseTime = null;
+   }
+   /**
+    * @returns {Boolean} A Boolean value that indicates whether the game clock is paused
+    */
+   isPaused()
+   {
+      return gameStates.get(this).stats.pauseTime != null;
+   }
+   /**
+    * The game clock starts with the first {@link openCell} call that changes the board (clicks that don't change anything are ignored) and stops when the game is over (it starts again if the end is reverted with {@link undo})
+    * @returns {Number} A Number that indicates the milliseconds spent playing, pauses excluded
+    */
+   getTime()
+   {
+      let stats = gameStates.get(this).stats;
+
+      if (stats.startTime == null) return 0;
+
+      return (stats.endTime ?? stats.pauseTime ?? Date.now()) - stats.startTime - stats.pausedTime;
+   }
+   /**
+    * Returns the player's stats about the current game. Only the moves made with {@link openCell} and {@link toggleFlag} before the game is over are counted
+    * @example minefield.getStats() //returns {time: 12500, leftClicks: 20, chordClicks: 4, flagClicks: 6, wastedClicks: 1, clicks: 30, bbbv: 25, solvedBbbv: 25, bbbvPerSecond: 2, ioe: 0.833, completion: 100, ...}
+    * @returns {Object} An Object containing:
+    *
+    *  - startTime/endTime: The timestamps (from {@link Date.now}) of the game start and end, or null
+    *  - time: The milliseconds spent playing, pauses excluded (see {@link getTime})
+    *  - leftClicks/chordClicks/flagClicks: The number of cells opened, of chords made on open cells and of flag changes
+    *  - wastedClicks: The number of the above clicks that didn't change anything
+    *  - clicks: The total number of clicks
+    *  - bbbv/solvedBbbv: The 3BV of the minefield (see {@link get3BV}) and the part of it that has been solved
+    *  - bbbvPerSecond: The solved 3BV divided by the seconds spent playing
+    *  - ioe: The solved 3BV divided by the clicks (Index Of Efficiency)
+    *  - completion: The percentage of the 3BV that has been solved
+    */
+   getStats()
+   {
+      let stats = gameStates.get(this).stats;
+      let zones = getBoardZones(this);
+
+      let time = this.getTime();
+      let clicks = stats.leftClicks + stats.chordClicks + stats.flagClicks;
+      let bbbv = zones.openings.length, solvedBbbv = 0;
+
+      for (let opening of zones.openings)
+      {
+         if (opening.every(x => this[x].mines != 0 || this[x].isOpen)) solvedBbbv++;
+      }
+
+      for (let island of zones.islands)
+      {
+         bbbv += island.length;
+         solvedBbbv += island.filter(x => this[x].isOpen).length;
+      }
+
+      return {
+         startTime: stats.startTime,
+         endTime: stats.endTime,
+         time: time,
+         leftClicks: stats.leftClicks,
+         chordClicks: stats.chordClicks,
+         flagClicks: stats.flagClicks,
+         wastedClicks: stats.wastedClicks,
+         clicks: clicks,
+         bbbv: bbbv,
+         solvedBbbv: solvedBbbv,
+         bbbvPerSecond: time > 0 ? solvedBbbv / (time/1000) : 0,
+         ioe: clicks > 0 ? solvedBbbv / clicks : 0,
+         completion: bbbv > 0 ? solvedBbbv / bbbv * 100 : 100
+      };
+   }
+
+   /**
+    * Checks if a minefield is solvable from a given cell (by not guessing)
+    *
+    * The mines are never moved: the first-click policy and the game mode are ignored, so the cell has to be empty (with an opening), and the mines have to be placed already (see the lazyMines option).
+    *
+    * WARNING! This method gets resource-intensive the more the minefield is big (especially with the complete mode).
+    * @param {Number} cell The index of the cell where to start
+    * @param {Boolean} restore If true, the Minefield will be restored after the function ends (default: true)
+    * @param {Boolean} complete If true, when no other deduction is found, every mine layout of the closed cells near open ones is checked (along with the remaining mines number), so that no logically solvable minefield is missed (default: false)
+    * @returns {Boolean} A Boolean value that indicates whether the minefield is solvable from the given cell
+    * @throws An error if parameters are invalid
+    */
+   isSolvableFrom(cell, restore=true, complete=false)
+   {
+      cell = validateNumber(cell, 0, this.cells-1);
+
+      return runToEnd(solveFrom(this, cell, restore, complete));
+   }
+   /**
+    * The same as {@link isSolvableFrom}, but it pauses every few milliseconds so that it doesn't block the event loop (e.g. a browser UI), and it can be stopped.
+    * The minefield shouldn't be changed until the returned Promise is settled.
+    * @example
+    * let controller = new AbortController();
+    * let isSolvable = await minefield.isSolvableFromAsync(40, {signal: controller.signal, maxTime: 5000, onProgress: progress => console.log(progress.solvedCells)});
+    * @param {Number} cell The index of the cell where to start
+    * @param {Boolean} restore If true, the Minefield will be restored after the function ends, also if it's stopped (default: true)
+    * @param {Boolean} complete If true, when no other deduction is found, every mine layout is checked (see {@link isSolvableFrom}) (default: false)
+    * @param {AbortSignal} signal An AbortSignal (or any Object with an "aborted" property) that stops the check when aborted (default: null)
+    * @param {Number} maxTime The maximum number of milliseconds to spend (default: Infinity)
+    * @param {Function} onProgress A function called on every pause with an Object containing the "solvedCells" (open or flagged) and the total "cells" (default: null)
+    * @returns {Promise<Boolean|null>} A Promise that resolves to a Boolean value that indicates whether the minefield is solvable from the given cell, or to null if the time limit was hit
+    * @throws An error if parameters are invalid, or the abort reason if the signal gets aborted
+    */
+   async isSolvableFromAsync(cell, {restore=true, complete=false, signal=null, maxTime=Infinity, onProgress=null} = {})
+   {
+      cell = validateNumber(cell, 0, this.cells-1);
+
+      let result = null;
+
+      try
+      {
+         result = await runAsync(solveFrom(this, cell, restore, complete), () => ({solvedCells: countSolvedCells(this), cells: this.cells}), {signal, maxTime, onProgress});
+      }
+      finally
+      {
+         if (result == null && restore) closeAllCells(this);
+      }
+
+      return result;
+   }
+
+   /**
+    * Checks the minefield to find hints about its state
+    * @param {Boolean} accurateHint If false, the function will return the nearby cells around the hint. If true, it will only return the exact cells to open/flag. (default: false)
+    * @param {Boolean} getOneHint If true, the function will only return a single hint (the first one found starting from the top) (default: true)
+    * @param {Boolean} complete If true, every mine layout of the closed cells near open ones is also checked (along with the remaining mines number), to find the hints that the other deductions miss. They are returned last, with only the exact cells (default: false)
+    * @returns {Array.<any>} An array containing arrays of the indexes of hint cells + a char value at index 0 of each (O/F) indicating if the hint is about opening or flagging cells
+    * @example minefield.getHint(false, false) //returns [['O', 6, 7, 8], ['F', 15, 25, 35]]
+    */
+   getHint(accurateHint=false, getOneHint=true, complete=false)
+   {
+      let hintCells = [];
+      let accurateHintCells = [];
+
+      let nearbyCells = getAllNearbyCells(this);
+      let unknownCells = [];
+
+      for (let i=0; i<this.cells; i++)
+      {
+         if (this[i].isOpen == false && this[i].isFlagged == false) unknownCells.push(i);
+      }
+
+      let importantCells = getImportantCells(this, nearbyCells, unknownCells);
+
+
+      for (let i of importantCells) //1st try: using flags
+      {
+         if (this[i].mines == 0) //all nearby cells are fine
+         {
+            let closedCells = nearbyCells[i].filter(x => this[x].isOpen == false)
+
+            if (closedCells.length > 0)
+            {
+               hintCells.push(["O", ...nearbyCells[i], i])
+               accurateHintCells.push(["O", ...closedCells]);
+            }
+         }
+         else
+         {
+            let {closedCells, flaggedCells, unflaggedCells} = countNearbyCells(this, nearbyCells[i]);
+
+            if (unflaggedCells.length > 0)
+            {
+               if (this[i].mines == flaggedCells) //all nearby cells are fine (except for the flagged cells) > open them
+               {
+                  hintCells.push(["O", ...nearbyCells[i], i])
+                  accurateHintCells.push(["O", ...unflaggedCells]);
+               }
+
+               if (this[i].mines == closedCells) //all nearby closed cells are mines > flag them all
+               {
+                  hintCells.push(["F", ...nearbyCells[i], i])
+                  accurateHintCells.push(["F", ...unflaggedCells]);
+               }
+            }
+         }
+      }
+
+      let phantomGroups = getPhantomGroups(this, nearbyCells, importantCells);
+
+      for (let i of importantCells) //2nd try: using phantom bombs
+      {
+         for (let phantomGroup of getGroupsAround(phantomGroups, nearbyCells[i]))
+         {
+            let phantomGroupUncontainedCells = phantomGroup.cells.filter(x => nearbyCells[i].includes(x) == false).length;
+
+            let flaggedCells = 0, unknownCells = [];
+
+            for (let x of nearbyCells[i])
+            {
+               if (isKnownMine(this[x])) flaggedCells++;
+               else if (this[x].isOpen == false && phantomGroup.set.has(x) == false) unknownCells.push(x);
+            }
+
+            //the nearby cells of the open cells that surround the whole phantom group, to show where it comes from
+            let getHintArea = () =>
+            {
+               let pgCenterNearbyCells = [];
+
+               for (let x of nearbyCells[i])
+               {
+                  if (this[x].isOpen && phantomGroup.cells.every(y => nearbyCells[x].includes(y)))
                   {
-                     let tempPhantomGroup = [this[i].mines - flaggedCells, ...unflaggedCells.sort((a, b) => a - b)];
+                     pgCenterNearbyCells.push(...nearbyCells[x]);
+                  }
+               }
+
+               return [...new Set([...nearbyCells[i], ...pgCenterNearbyCells, i])];
+            };
+
+            if (unknownCells.length > 0)
+            {
+               if (this[i].mines == flaggedCells + phantomGroup.mines + unknownCells.length) //all unknown cells are mines > flag them all
+               {
+                  hintCells.push(["F", ...getHintArea()]);
+                  accurateHintCells.push(["F", ...unknownCells]);
+               }
+               else if (this[i].mines == flaggedCells + phantomGroup.mines - phantomGroupUncontainedCells) //all unknown cells are clear > open them
+               {
+                  hintCells.push(["O", ...getHintArea()]);
+                  accurateHintCells.push(["O", ...unknownCells]);
+               }
+            }
+         }
+      }
+
+      if (this.remainingMines == 0) //3th try: using remaining flags count
+      {
+         if (unknownCells.length > 0)
+         {
+            hintCells.push(["O", ...unknownCells]);
+            accurateHintCells.push(["O", ...unknownCells]);
+         }
+      }
+      else
+      {
+         let remainingPhantomGroups = getRemainingPhantomGroups(phantomGroups);
+
+         if (remainingPhantomGroups.mines == this.remainingMines)
+         {
+            let safeCells = unknownCells.filter(i => remainingPhantomGroups.set.has(i) == false);
+
+            if (safeCells.length > 0)
+            {
+               hintCells.push(["O", ...safeCells]);
+               accurateHintCells.push(["O", ...safeCells]);
+            }
+         }
+      }
+
+      if (complete && (getOneHint == false || hintCells.length == 0)) //4th try: using every possible mine layout
+      {
+         let hintedCells = new Set(accurateHintCells.flatMap(hint => hint.slice(1)));
+         let safeCells = [], mineCells = [];
+
+         for (let [x, probability] of analyzeMinefield(this)?.probabilities ?? [])
+         {
+            if (hintedCells.has(x)) continue;
+
+            if (probability == 0) safeCells.push(x);
+            else if (probability == 1) mineCells.push(x);
+         }
+
+         for (let [type, cells] of [["O", safeCells], ["F", mineCells]])
+         {
+            if (cells.length > 0)
+            {
+               cells.sort((a, b) => a - b);
+
+               hintCells.push([type, ...cells]);
+               accurateHintCells.push([type, ...cells]);
+            }
+         }
+      }
+
+      if (getOneHint)
+      {
+         hintCells = hintCells[0];
+         accurateHintCells = accurateHintCells[0];
+      }
+
+      return (accurateHint ? accurateHintCells : hintCells) ?? [];
+   }
+   /**
+    * Solves the minefield step by step from its current state, explaining each deduction. The simplest rule is always tried first:
+    *
+    *  - satisfied: An open cell has as many flagged nearby cells as its number, so the other closed ones are safe
+    *  - allMines: An open cell has as many closed nearby cells as its number, so they are all mines
+    *  - subset: Some closed cells are known to contain a number of mines (a "phantom group", from the constraint cells), so the rest of the closed cells around an open cell are all safe or all mines
+    *  - mineCount: The remaining mines number (mines minus flags) is the same as the mines known to be in some cells, or as the closed cells, so the rest are safe or all mines
+    *  - enumeration: In every mine layout consistent with the constraint cells and the remaining mines number, the cells are safe or mines (only if complete is true)
+    *
+    * The minefield isn't changed: each deduction is applied to a copy of it, so that the next ones can build on it. Like {@link getHint}, the flags are treated as mines.
+    * @example
+    * for (let deduction of minefield.getDeductions()) console.log(deduction); //logs {rule: "satisfied", type: "open", cells: [12, 13], constraints: [4]}...
+    * @param {Boolean} complete If true, every mine layout is checked when the other rules don't find anything (see {@link getHint}) (default: false)
+    * @yields {Object} An Object for each deduction, containing its "rule", its "type" ("open" or "flag"), the "cells" to open/flag and the "constraints" (the open cells whose numbers it relies on), sorted by index
+    * @returns {Boolean} A Boolean value that indicates whether the minefield got cleared (if false, a guess is needed)
+    */
+   *getDeductions(complete=false)
+   {
+      let mines = [];
+
+      this.forEachCell((cell, i) =>
+      {
+         if (cell.isMine) mines.push(i);
+      }, false, true);
+
+      let minefield = new Minefield(this.width, this.height, mines, Math.random, {lives: this.lives});
+
+      this.forEachCell((cell, i) =>
+      {
+         minefield[i].isOpen = cell.isOpen;
+         minefield[i].isFlagged = cell.isFlagged;
+      }, false, true);
+
+      while (minefield.isOver() == false)
+      {
+         let deduction = getDeduction(minefield, complete);
+
+         if (deduction == null) return false;
+
+         yield deduction;
+
+         for (let x of deduction.cells)
+         {
+            if (deduction.type == "flag") minefield[x].isFlagged = true;
+            else untracked(minefield, () => minefield.openCell(x, false));
+         }
+      }
+
+      return minefield.isCleared();
+   }
+   /**
+    * Grades the minefield by the hardest technique needed to clear it from the given cell (regardless of its current state), following the deductions of {@link getDeductions}. Grades, from the easiest:
+    *
+    *  - single: Only the rules about single open cells ("satisfied" and "allMines" deductions)
+    *  - subset: Phantom groups, made of the closed cells shared by near open cells ("subset" deductions)
+    *  - mineCount: The remaining mines number, usually in the endgame ("mineCount" deductions)
+    *  - enumeration: Every mine layout has to be checked ("enumeration" deductions, only if complete is true)
+    *  - guess: Some guesses are needed (each guess opens a safe cell among the ones found by {@link getGuessCells})
+    *
+    * WARNING! This method gets resource-intensive the more the minefield is big (especially with the complete mode or guesses).
+    * @example minefield.getDifficulty(40) //returns {grade: "subset", level: 1, techniques: {single: 31, subset: 4, mineCount: 0, enumeration: 0, guess: 0}}
+    * @param {Number} cell The index of the cell where to start
+    * @param {Boolean} complete If true, the deductions made by checking every mine layout are also used, instead of guessing (default: false)
+    * @returns {Object|null} An Object containing the "grade", its "level" (from 0 to 4, to sort minefields) and how many times each technique was used ("techniques"), or null if the cell is a mine
+    * @throws An error if parameters are invalid
+    */
+   getDifficulty(cell, complete=false)
+   {
+      cell = validateNumber(cell, 0, this.cells-1);
+
+      if (this[cell].isMine) return null;
+
+      let mines = [];
+
+      this.forEachCell((cell, i) =>
+      {
+         if (cell.isMine) mines.push(i);
+      }, false, true);
+
+      let minefield = new Minefield(this.width, this.height, mines);
+      let techniques = {single: 0, subset: 0, mineCount: 0, enumeration: 0, guess: 0};
+      let level = 0;
+
+      let open = (x) => untracked(minefield, () => minefield.openCell(x, false));
+
+      open(cell);
+
+      while (minefield.isCleared() == false)
+      {
+         let deductions = minefield.getDeductions(complete);
+
+         for (let step = deductions.next(); step.done == false; step = deductions.next())
+         {
+            let technique = step.value.rule == "satisfied" || step.value.rule == "allMines" ? "single" : step.value.rule;
+
+            techniques[technique]++;
+            level = Math.max(level, DIFFICULTY_GRADES.indexOf(technique));
+
+            for (let x of step.value.cells)
+            {
+               if (step.value.type == "flag") minefield[x].isFlagged = true;
+               else open(x);
+            }
+         }
+
+         if (minefield.isCleared()) break;
+
+         let guessCells = minefield.getGuessCells() ?? [];
+         let guess = guessCells.find(x => minefield[x].isMine == false);
+
+         for (let i=0; i<minefield.cells && guess == null; i++)
+         {
+            if (minefield[i].isOpen == false && minefield[i].isMine == false) guess = i;
+         }
+
+         techniques.guess++;
+         level = DIFFICULTY_GRADES.indexOf("guess");
+
+         open(guess);
+      }
+
+      return {grade: DIFFICULTY_GRADES[level], level: level, techniques: techniques};
+   }
+
+   /**
+    * Calculates the exact probability of each closed (and not flagged) cell to be a mine, considering every mine layout that is consistent with the open numbers, the flags (treated as mines) and the remaining mines number.
+    *
+    * WARNING! This method gets resource-intensive the more the closed cells near open numbers are.
+    * @example minefield.getMineProbabilities() //returns [null, null, 0.5, 0.5, 0, 1, 0.125, ...]
+    * @returns {Array.<number>|null} An array containing, on each index, the mine probability (between 0 and 1) of the cell, or null if the cell is open or flagged. If no mine layout is consistent with the minefield, null is returned instead
+    */
+   getMineProbabilities()
+   {
+      let analysis = analyzeMinefield(this);
+
+      if (analysis == null) return null;
+
+      let probabilities = [];
+
+      for (let i=0; i<this.cells; i++)
+      {
+         probabilities.push(analysis.probabilities.get(i) ?? null);
+      }
+
+      return probabilities;
+   }
+   /**
+    * Finds out whether the game can only go on with a guess: no closed cell is certainly safe and no closed unflagged cell is certainly a mine.
+    * Every mine layout that is consistent with the open numbers and the remaining mines number is considered, while the flags are ignored (they could be wrong).
+    *
+    * WARNING! This method gets resource-intensive the more the closed cells near open numbers are.
+    * @example minefield.getGuessCells() //returns [63, 71] (a 50/50)
+    * @returns {Array.<number>|null} An empty array if a certain move exists. Otherwise, the smallest group of cells the player has to guess between (the cells constrained by the same open numbers, or the ones far from any of them). If the game is over (or no mine layout is consistent with the minefield) null is returned instead
+    */
+   getGuessCells()
+   {
+      if (this.isOver()) return null;
+
+      let analysis = analyzeMinefield(this, true);
+
+      if (analysis == null) return null;
+
+      for (let [cell, probability] of analysis.probabilities)
+      {
+         if (probability == 0 || (probability == 1 && this[cell].isFlagged == false)) return [];
+      }
+
+      let {regions, interiorCells} = analysis.frontier;
+      let guessCells = null;
+
+      for (let cells of [...regions.map(region => region.cells), interiorCells])
+      {
+         cells = cells.filter(x => analysis.probabilities.get(x) < 1).sort((a, b) => a - b); //flagged mines aren't guesses
+
+         if (cells.length == 0) continue;
+
+         if (guessCells == null || cells.length < guessCells.length || (cells.length == guessCells.length && cells[0] < guessCells[0]))
+         {
+            guessCells = cells;
+         }
+      }
+
+      return guessCells ?? [];
+   }
+   /**
+    * @returns {Boolean} A Boolean value that indicates whether the game can only go on with a guess (see {@link getGuessCells})
+    */
+   isGuessRequired()
+   {
+      return this.getGuessCells()?.length > 0;
+   }
+   /**
+    * Plays the game until it's over (or the guesses limit is hit), like a player would: the moves are recorded in the move history and fire the events.
+    * The hints of {@link getHint} are followed first (so the flags are trusted, and removed only if they make the minefield inconsistent). When there aren't any, a closed cell is picked by the guess strategy, knowing the mine probabilities (see {@link getMineProbabilities}):
+    *
+    *  - lowestRisk: The cell with the lowest mine probability (the first one, if they are many)
+    *  - random: A random cell
+    *  - A function that receives the candidates (an Array of Objects with the "cell" index and its mine "probability", which may be null), the minefield and the randomizer, and returns the index of the cell to open
+    *
+    * WARNING! This method gets resource-intensive the more the minefield is big.
+    * @example minefield.autoplay({guessStrategy: "lowestRisk"}) //returns {won: true, moves: 37, guesses: 1}
+    * @param {Number} cell The index of the cell where to start, if the game isn't started yet (default: picked by the guess strategy)
+    * @param {String|Function} guessStrategy How the cell to open is picked when a guess is needed (default: "lowestRisk")
+    * @param {Number} maxGuesses The maximum number of guesses to make before stopping (default: Infinity)
+    * @param {Function} randomizer A function that returns a random decimal number between 0 and 1, given to the guess strategy (default: {@link Math.random})
+    * @returns {Object} An Object containing whether the game was "won", the number of "moves" made and how many of them were "guesses" (opened cells that could be mines, without counting a first click protected by the first-click policy)
+    * @throws An error if parameters are invalid
+    */
+   autoplay({cell=null, guessStrategy="lowestRisk", maxGuesses=Infinity, randomizer=Math.random} = {})
+   {
+      if (typeof guessStrategy == "string")
+      {
+         if (guessStrategy in GUESS_STRATEGIES == false) throw new Error("Unknown guess strategy");
+
+         guessStrategy = GUESS_STRATEGIES[guessStrategy];
+      }
+      else if (typeof guessStrategy != "function") throw new Error("Invalid parameter type");
+
+      if (cell != null) cell = validateNumber(cell, 0, this.cells-1);
+
+      maxGuesses = validateNumber(maxGuesses, 0);
+
+      let moves = 0, guesses = 0;
+
+      while (this.isNew() || this.isGoingOn())
+      {
+         if (this.isNew() == false)
+         {
+            let updatedCells = 0;
+
+            for (let [type, ...cells] of this.getHint(true, false))
+            {
+               for (let x of cells)
+               {
+                  if (this[x].isOpen || this[x].isFlagged) continue;
+
+                  let updated = type == "O" ? this.openCell(x) : this.setFlag(x, "flag");
+
+                  if (updated.length > 0) moves++;
+
+                  updatedCells += updated.length;
+               }
+            }
+
+            if (updatedCells > 0) continue;
+         }
+
+         let probabilities = this.getMineProbabilities();
+
+         if (probabilities == null) //some flags are wrong
+         {
+            let flaggedCells = [];
+
+            this.forEachCell((cell, i) =>
+            {
+               if (cell.isOpen == false && cell.isFlagged) flaggedCells.push(i);
+            }, false, true);
+
+            flaggedCells.forEach(x => this.setFlag(x, "none"));
+
+            if (flaggedCells.length > 0) continue;
+         }
+
+         let isProtected = this.isNew() && gameStates.get(this).firstClickPolicy != "none";
+         let guess = cell;
+
+         if (guess == null || this.isNew() == false)
+         {
+            let candidates = [];
+
+            for (let i=0; i<this.cells; i++)
+            {
+               if (this[i].isOpen == false && this[i].isFlagged == false) candidates.push({cell: i, probability: probabilities?.[i] ?? null});
+            }
+
+            if (candidates.length == 0) break;
+
+            guess = guessStrategy(candidates, this, randomizer);
+
+            if (candidates.some(candidate => candidate.cell === guess) == false) throw new Error("The guess strategy returned an invalid cell");
+         }
+
+         if (probabilities?.[guess] !== 0 && isProtected == false)
+         {
+            if (guesses == maxGuesses) break;
+
+            guesses++;
+         }
+
+         this.openCell(guess);
+         moves++;
+      }
+
+      return {won: this.isCleared(), moves: moves, guesses: guesses};
+   }
+
+
+   /**
+    * Finds the openings of the minefield (the zones that get opened with a single click on an empty cell), regardless of the cells state
+    * @returns {Array.<Array.<number>>} An Array containing, for each opening, an Array with the indexes of its empty cells and of the numbers around them
+    */
+   getOpenings()
+   {
+      return getBoardZones(this).openings;
+   }
+   /**
+    * Finds the islands of the minefield (the groups of touching number cells that aren't around any opening), regardless of the cells state
+    * @returns {Array.<Array.<number>>} An Array containing, for each island, an Array with the indexes of its cells
+    */
+   getIslands()
+   {
+      return getBoardZones(this).islands;
+   }
+   /**
+    * Calculates the 3BV (Bechtel's Board Benchmark Value) of the minefield: the minimum number of clicks needed to clear it without flagging
+    * @returns {Number} A Number that indicates the openings number plus the number cells that aren't around any opening
+    */
+   get3BV()
+   {
+      let zones = getBoardZones(this);
+
+      return zones.openings.length + zones.islands.reduce((sum, island) => sum + island.length, 0);
+   }
+   /**
+    * Calculates the ZiNi of the minefield: an estimation of the minimum number of clicks (flags and chords included) needed to clear it.
+    *
+    * It's found by always doing the chord that saves the most clicks (opening the chorded cell and flagging the mines around it if needed), until no chord saves any.
+    * @returns {Number} A Number that indicates the estimated clicks, never higher than the 3BV
+    */
+   getZiNi()
+   {
+      let zones = getBoardZones(this);
+      let openingOf = new Map();
+
+      zones.openings.forEach((opening, i) =>
+      {
+         for (let x of opening)
+         {
+            if (this[x].mines == 0) openingOf.set(x, i);
+         }
+      });
+
+      let isolatedCells = new Set(zones.islands.flat());
+      let openCells = new Set(), flaggedCells = new Set(), openOpenings = new Set();
+      let changedCells = new Set();
+      let clicks = 0;
+
+      let openCell = x =>
+      {
+         if (openingOf.has(x))
+         {
+            if (openOpenings.has(openingOf.get(x))) return;
+
+            openOpenings.add(openingOf.get(x));
+
+            for (let y of zones.openings[openingOf.get(x)])
+            {
+               openCells.add(y);
+               changedCells.add(y);
+            }
+         }
+         else
+         {
+            openCells.add(x);
+            changedCells.add(x);
+         }
+      };
+
+      let getChord = x =>
+      {
+         let nearbyCells = this.getNearbyCells(x);
+         let openedItems = new Set();
+         let cost = 1;
+
+         if (openCells.has(x) == false)
+         {
+            cost++;
+            nearbyCells.push(x);
+         }
+
+         for (let y of nearbyCells)
+         {
+            if (this[y].isMine)
+            {
+               if (flaggedCells.has(y) == false) cost++;
+            }
+            else if (openCells.has(y) == false)
+            {
+               if (openingOf.has(y)) openedItems.add(-1 - openingOf.get(y));
+               else if (isolatedCells.has(y)) openedItems.add(y);
+            }
+         }
+
+         return {nearbyCells, premium: openedItems.size - cost, cost};
+      };
+
+      let chords = [];
+
+      for (let i=0; i<this.cells; i++)
+      {
+         chords.push(this[i].isMine || this[i].mines == 0 ? null : getChord(i));
+      }
+
+      while (true)
+      {
+         let best = null;
+
+         for (let chord of chords)
+         {
+            if (chord != null && chord.premium >= 0 && (best == null || chord.premium > best.premium)) best = chord;
+         }
+
+         if (best == null) break;
+
+         clicks += best.cost;
+
+         for (let y of best.nearbyCells)
+         {
+            if (this[y].isMine)
+            {
+               flaggedCells.add(y);
+               changedCells.add(y);
+            }
+            else openCell(y);
+         }
+
+         let updatedCells = new Set();
+
+         for (let x of changedCells)
+         {
+            for (let y of this.getNearbyCells(x, true))
+            {
+               if (chords[y] != null) updatedCells.add(y);
+            }
+         }
+
+         for (let y of updatedCells) chords[y] = getChord(y);
+
+         changedCells.clear();
+      }
+
+      for (let x of isolatedCells)
+      {
+         if (openCells.has(x) == false) clicks++;
+      }
+
+      return clicks + zones.openings.length - openOpenings.size;
+   }
+
+
+   /**
+    * Calculates nearby mines number for each cell and assigns the value*/
+   resetMines()
+   {
+      for (let i=0; i<this.cells; i++) this[i].mines = 0;
+
+      for (let i=0; i<this.cells; i++)
+      {
+         if (this[i].isMine)
+         {
+            let nearbyCells = this.getNearbyCells(i, true);
+
+            for (let j=0; j<nearbyCells.length; j++)
+            {
+               this[nearbyCells[j]].mines++;
+            }
+         }
+      }
+   }
+
+
+   /**
+    * Executes a given function for every cell (passing them as parameters along with the corresponding index, like a forEach)
+    * @param {Function} fun A function to execute for each cell
+    * @param {Boolean} returnBreak If true, the loop breaks whenever the given function returns a value that is not undefined and returns that value (default: false)
+    * @param {Boolean} giveIndex If false, the method will replace the index of the cell with its corresponding coordinates (default: true)
+    * @returns {any} Any value returned from the function if returnBreak is true
+    */
+   forEachCell(fun, returnBreak=false, giveIndex=true)
+   {
+      for (let i=0; i<this.cells; i++)
+      {
+         let res = fun(this[i], giveIndex ? i : [i % this.width, Math.floor(i/this.width)]);
+         if (returnBreak && res !== undefined) return res;
+      }
+   }
+   /**
+    * Finds the coordinates of the nearby cell at the given index
+    * @param {Number} cell The index of the concerned cell
+    * @param {Boolean} includeSelf If true, also include the index of the concerned cell (default: false)
+    * @returns {Array.<number>} An Array containing the indexes of the cells directly around the given one
+    * @throws An error if parameters are invalid
+    */
+   getNearbyCells(cell, includeSelf=false)
+   {
+      cell = validateNumber(cell, 0, this.cells-1);
+
+      let nearbyCells = [];
+
+      let x = cell % this.width;
+      let y = Math.floor(cell / this.width);
+
+      let isNotFirstRow = y > 0;
+      let isNotLastRow = y < this.height-1;
+
+
+      if (includeSelf ) nearbyCells.push(cell)                   //center
+
+      if (isNotFirstRow) nearbyCells.push(cell-this.width);      //up
+      if (isNotLastRow ) nearbyCells.push(cell+this.width);      //down
+
+      if (x > 0) //if cell isn't on first column
+      {
+         nearbyCells.push(cell-1);                               //left
+
+         if (isNotFirstRow) nearbyCells.push(cell-this.width-1); //up left
+         if (isNotLastRow ) nearbyCells.push(cell+this.width-1); //down left
+      }
+
+      if (x < this.width-1) //if cell isn't on last column
+      {
+         nearbyCells.push(cell+1);                               //right
+
+         if (isNotFirstRow) nearbyCells.push(cell-this.width+1); //up right
+         if (isNotLastRow ) nearbyCells.push(cell+this.width+1); //down right
+      }
+
+      return nearbyCells;
+   }
+   /**
+    * Uses a flood fill algorithm to find all the cells that have 0 mines nearby
+    * @param {Number} cell The index of the concerned cell
+    * @param {Boolean} includeFlags Whether to include flagged cells in the empty zone (default: false)
+    * @returns {Array.<number>} An Array containing the indexes of the empty cells zone starting from the given one
+    * @throws An error if parameters are invalid
+    */
+   getEmptyZone(cell, includeFlags=false)
+   {
+      if (this[cell].mines != 0) return [];
+
+      let emptyZone = new Set([cell]);
+
+      for (let emptyCell of emptyZone)
+      {
+         if (this[emptyCell].mines == 0)
+         {
+            let nearbyCells = this.getNearbyCells(emptyCell);
+
+            for (let j=0; j<nearbyCells.length; j++)
+            {
+               if (includeFlags || this[nearbyCells[j]].isFlagged == false)
+               {
+                  emptyZone.add(nearbyCells[j])
+               }
+            }
+         }
+      }
+
+      return [...emptyZone];
+   }
+   /**
+    * Finds the indexes of all the square zone cells starting and ending at the specified indexes.
+    * @param {Number} begIndex The index of the start of the square zone
+    * @param {Number} endIndex The index of the end of the square zone
+    * @return {Array<number>} An array containing the indexes of all the cells present in the square zone
+    * @throws An error if parameters are invalid
+    */
+   getSquareZone(begIndex, endIndex)
+   {
+      begIndex = validateNumber(begIndex, 0, this.cells-1), endIndex = validateNumber(endIndex, 0, this.cells-1);
+
+      let begCords = [begIndex % this.width, Math.floor(begIndex/this.width)];
+      let endCords = [endIndex % this.width, Math.floor(endIndex/this.width)];
+
+      if (endCords[0] < begCords[0]) [begCords[0], endCords[0]] = [endCords[0], begCords[0]];
+      if (endCords[1] < begCords[1]) [begCords[1], endCords[1]] = [endCords[1], begCords[1]];
+
+      let squareZone = [];
+
+      for (let i=begCords[0]; i<=endCords[0]; i++)
+      {
+         for (let j=begCords[1]; j<=endCords[1]; j++)
+         {
+            squareZone.push(i + j*this.width);
+         }
+      }
+
+      return squareZone;
+   }
+
+
+   /**
+    * @param {Number} cell The index of the desired cell
+    * @returns {Array<Number>} An array that has the x and y cords of the desired cell at index 0 and 1 respectively
+    * @throws An error if parameters are invalid
+    */
+   getCellCords(cell)
+   {
+      cell = validateNumber(cell);
+
+      return [cell % this.width, Math.floor(cell/this.width)];
+   }
+   /**
+    * @param {Number} x The X coordinate of the desired cell
+    * @param {Number} y The Y coordinate of the desired cell
+    * @returns {Number} A Number that indicates the index of the cell that is in the specified row and column
+    * @throws An error if parameters are invalid
+    */
+   getCellIndex([x, y])
+   {
+      x = validateNumber(x), y = validateNumber(y);
+
+      return x + y*this.width;
+   }
+
+
+   /**
+    * @returns {Boolean} a Boolean value that indicates whether the game is new (before the first move)
+    */
+   isNew()
+   {
+      return this.forEachCell(cell => {if (cell.isOpen) return false;}, true) ?? true;
+   }
+   /**
+    * @returns {Boolean} a Boolean value that indicates whether the game is going on (after the first move, before game over)
+    */
+   isGoingOn()
+   {
+      let foundClosedEmpty = false;
+      let foundOpen = false;
+
+      this.forEachCell(cell =>
+      {
+         if (cell.isOpen) foundOpen = true;
+         else if (cell.isMine == false) foundClosedEmpty = true;
+      });
+
+      return foundOpen && foundClosedEmpty && this.isLost() == false;
+   }
+   /**
+    * @returns {Boolean} a Boolean value that indicates whether the game is over (both cleared or lost)
+    */
+   isOver()
+   {
+      return this.isLost() || (this.forEachCell(cell => {if (cell.isOpen == false && cell.isMine == false) return false;}, true) ?? true);
+   }
+   /**
+    * @returns {Boolean} a Boolean value that indicates whether the minefield has been cleared (every cell that isn't a mine is open, and the game isn't lost)
+    */
+   isCleared()
+   {
+      return this.isLost() == false && (this.forEachCell(cell => {if (cell.isOpen == false && cell.isMine == false) return false;}, true) ?? true);
+   }
+   /**
+    * @returns {Boolean} a Boolean value that indicates whether the opened mines are as many as the lives (just one mine, unless {@link lives} is changed)
+    */
+   isLost()
+   {
+      return this.livesLeft == 0;
+   }
+   /**
+    * Exploded mines are the open mines: with more than one life (see {@link lives}), the game goes on after opening them.
+    * @returns {Array.<number>} An array containing the indexes of the exploded mines
+    */
+   getExplodedMines()
+   {
+      let explodedMines = [];
+
+      this.forEachCell((cell, i) =>
+      {
+         if (cell.isOpen && cell.isMine) explodedMines.push(i);
+      }, false, true);
+
+      return explodedMines;
+   }
+
+
+   /**
+    * Returns the minefield as text, a row for each line. Legend (every symbol can be changed):
+    *
+    *  - ?: Unknown cells (neither opened or flagged), if allsee is false
+    *  - F: Flagged cells (only flagged mines, if allsee is true)
+    *  - f: Flagged cells that aren't mines, if allsee is true
+    *  - [N]: An open cell, with its nearby mines number
+    *  - X: An open mine
+    *  - *: A closed mine, if allsee is true
+    *  - .: A closed cell that isn't a mine, if allsee is true
+    *
+    * With allsee, the text contains the whole minefield, so it can be parsed back with {@link Minefield.fromText}.
+    * @example minefield.toText(true) //returns "* 1 0\n1 1 0\n0 0 0"
+    * @param {Boolean} allsee If true, also the content of the closed cells is shown (default: false)
+    * @param {Object} symbols An Object with the symbols to use instead of the default ones: unknown, question (for question marks, if allsee is false), flag, wrongFlag, mine, closedMine, closedSafe (null to show the nearby mines number) and the cells separator
+    * @returns {String} The text of the minefield
+    */
+   toText(allsee=false, symbols={})
+   {
+      symbols = {...TEXT_SYMBOLS, ...symbols};
+
+      let text = "";
+
+      this.forEachCell((cell, i) =>
+      {
+         let char = "";
+
+         if (cell.isOpen) char = cell.isMine ? symbols.mine : cell.mines;
+         else if (allsee == false) char = cell.isFlagged ? symbols.flag : cell.isQuestioned ? symbols.question : symbols.unknown;
+         else if (cell.isFlagged) char = cell.isMine ? symbols.flag : symbols.wrongFlag ?? cell.mines;
+         else char = cell.isMine ? symbols.closedMine : symbols.closedSafe ?? cell.mines;
+
+         if (i == this.cells-1) text += char;
+         else if ((i+1) % this.width == 0) text += char + "\n";
+         else text += char + symbols.separator;
+      }, false, true);
+
+      return text;
+   }
+   /**
+    * Console logs the minefield in a visual way (see {@link toText}). Legend:
+    *
+    *  - ?: Unknown cells (neither opened or flagged)
+    *  - F: Flagged cells
+    *  - [N]: An open cell, with its nearby mines number
+    *  - X: An open mine
+    *
+    * @param {Boolean} allsee If true, every cell will be showed as if they were open (default: false)
+    */
+   visualDebug(allsee=false)
+   {
+      let symbols = allsee ? {flag: "X", wrongFlag: null, closedMine: "X", closedSafe: null} : {};
+
+      console.log(this.toText(allsee, symbols) + "\n");
+   }
+
+
+   /**
+    * What happens when a cell is opened with the first click of the game (the moved mines are placed using the minefield's randomizer):
+    *
+    *  - none: Nothing, the first click can open a mine
+    *  - safe: If the cell is a mine, it's moved somewhere else
+    *  - area: The mines in the cell and around it are moved somewhere else, so that the first click opens an empty zone
+    *  - noGuess: Like "area", but the whole minefield is regenerated if needed so that it can be solved without guessing (see {@link isSolvableFrom})
+    *
+    * If the minefield is too dense for "area" and "noGuess", only the cell is made safe.
+    * @returns {String} The first-click policy (default: "safe")
+    */
+   get firstClickPolicy()
+   {
+      return gameStates.get(this).firstClickPolicy;
+   }
+   /**
+    * @param {String} policy The new first-click policy (none/safe/area/noGuess)
+    * @throws An error if the policy is unknown
+    */
+   set firstClickPolicy(policy)
+   {
+      if (FIRST_CLICK_POLICIES.includes(policy) == false) throw new Error("Unknown first-click policy");
+
+      gameStates.get(this).firstClickPolicy = policy;
+   }
+   /**
+    * Whether {@link toggleFlag} cycles between no flag, flag and question mark (instead of just flagging and unflagging)
+    * @returns {Boolean} A Boolean value that indicates whether question marks are enabled (default: false)
+    */
+   get questionMarks()
+   {
+      return gameStates.get(this).questionMarks;
+   }
+   /**
+    * @param {Boolean} enabled Whether question marks are enabled
+    */
+   set questionMarks(enabled)
+   {
+      gameStates.get(this).questionMarks = enabled == true;
+   }
+   /**
+    * Whether flags are limited: if true, no flag can be placed (by {@link toggleFlag}, {@link setFlag} or chords) when the used flags are as many as the mines
+    * @returns {Boolean} A Boolean value that indicates whether flags are limited (default: false)
+    */
+   get limitFlags()
+   {
+      return gameStates.get(this).limitFlags;
+   }
+   /**
+    * @param {Boolean} enabled Whether flags are limited
+    */
+   set limitFlags(enabled)
+   {
+      gameStates.get(this).limitFlags = enabled == true;
+   }
+
+   /**
+    * How the mines behave when a closed cell is opened (after the first click):
+    *
+    *  - normal: The mines never move
+    *  - kaboom: The mines are moved to another layout consistent with the open cells, so that a guess is safe if nothing could be deduced, while it's a mine if some cell could be safely opened instead
+    *  - evil: The mines are moved to another layout consistent with the open cells whenever an opened cell could be a mine, so that it is one. Only the cells that are certainly safe can be opened, so the mine layout is only final when the game is over
+    *
+    * Cells opened by chords (see {@link openCell}) don't move the mines, unless the mode is "evil" (wrong flags can make them guesses). The flags are ignored. The moves are made with the minefield randomizer, and are part of the move history.
+    *
+    * WARNING! With "kaboom" and "evil", every open cell checks all the mine layouts (like {@link getMineProbabilities}), so it gets resource-intensive the more the closed cells near open ones are.
+    * @returns {String} The game mode (default: "normal")
+    */
+   get mode()
+   {
+      return gameStates.get(this).mode;
+   }
+   /**
+    * @param {String} mode The new game mode (normal/kaboom/evil)
+    * @throws An error if the mode is unknown
+    */
+   set mode(mode)
+   {
+      if (GAME_MODES.includes(mode) == false) throw new Error("Unknown game mode");
+
+      gameStates.get(this).mode = mode;
+   }
+   /**
+    * How many mines can be opened before the game is lost: every other opened mine explodes, but the game goes on (see {@link getExplodedMines})
+    * @returns {Number} The number of lives (default: 1)
+    */
+   get lives()
+   {
+      return gameStates.get(this).lives;
+   }
+   /**
+    * @param {Number} lives The new number of lives
+    * @throws An error if the lives are less than one
+    */
+   set lives(lives)
+   {
+      gameStates.get(this).lives = validateNumber(lives, 1);
+   }
+   /**
+    * @returns {Number} The lives that are left, that is the lives minus the exploded mines (0 if the game is lost)
+    */
+   get livesLeft()
+   {
+      return Math.max(this.lives - this.getExplodedMines().length, 0);
+   }
+   /**
+    * The same width, height, mines number and seed always give the same minefield, and the same first-click mine moves.
+    * @returns {String|Number|null} The seed given to the constructor instead of a randomizer, or null if there isn't one
+    */
+   get seed()
+   {
+      return gameStates.get(this).seed?.value ?? null;
+   }
+
+   /**
+    * @returns {Number} A Number that indicates the used flags in the current minefield
+    */
+   get usedFlags()
+   {
+      let flags = 0;
+
+      this.forEachCell(cell =>
+      {
+         if (cell.isFlagged) flags++;
+      });
+
+      return flags;
+   }
+   /**
+    * @returns {Number} A Number that indicates the mines that are neither flagged nor exploded (it can be negative if there are too many flags)
+    */
+   get remainingMines()
+   {
+      let knownMines = 0;
+
+      this.forEachCell(cell =>
+      {
+         if (isKnownMine(cell)) knownMines++;
+      });
+
+      return this.mines - knownMines;
+   }
+}
+
+
+/**
+ * An Object containing:
+ * @property {Number}  width            - The minefield width (1-based)
+ * @property {Number}  height           - The minefield height (1-based)
+ * @property {Number}  cells            - The minefield total cells number
+ * @property {Number}  mines            - The minefield total mines number
+ * @property {Object}  [X][Y]           - Each minefield cell on its coordinates
+ * @property {Boolean} [X][Y].isOpen    - Whether a cell is revealed
+ * @property {Boolean} [X][Y].isMine    - Whether a cell is a mine
+ * @property {Boolean} [X][Y].isFlagged - Whether a cell is flagged
+ * @property {Boolean} [X][Y].isQuestioned - Whether a cell is marked with a question mark
+ * @property {Number}  [X][Y].mines     - Number of mines present around a cell
+ */
+class Minefield2D extends Minefield
+{
+   constructor(width, height, mines = Math.floor(width*height/5), randomizer = Math.random, options = {})
+   {
+      super(width, height, mines, randomizer, options);
+
+      let minefield2D = [];
+
+      for (let i=0; i<width; i++)
+      {
+         minefield2D.push([]);
+
+         for (let j=0; j<height; j++)
+         {
+            minefield2D[i][j] = this[i+j*width];
+         }
+      }
+
+      for (let i=0; i<this.cells; i++) delete this[i];
+      Object.assign(this, minefield2D);
+
+      return this;
+   }
+
+
+   /**
+    * Converts the Minefield2D object to a Minefield object.
+    *
+    * WARNING! The two objects will share the same reference to the same cells (and game state, like the move history) so any changes made to one will be reflected in the other
+    * @returns {Minefield} A Minefield object
+    */
+   toMinefield()
+   {
+      let minefield = new Minefield(this.width, this.height, this.mines);
+
+      for (let i=0; i<this.width; i++)
+      {
+         for (let j=0; j<this.height; j++)
+         {
+            delete minefield[i+j*this.width];
+            minefield[i+j*this.width] = this[i][j];
+         }
+      }
+
+      gameStates.set(minefield, gameStates.get(this));
+
+      return minefield;
+   }
+
+
+   /**
+    * Returns a simplified version of the minefield.
+    *
+    *  - -1: A mine
+    *  - [0-8]: A cell with the number of nearby mines
+    *
+    * @returns {Array.<Array.<number>>} A Number-Only 2D-Array containing the numbers with meanings explained above
+    */
+   simplify()
+   {
+      let simplified = [];
+
+      for (let i=0; i<this.width; i++)
+      {
+         simplified.push([]);
+
+         for (let j=0; j<this.height; j++)
+         {
+            let cell = this[i][j];
+
+            simplified[i].push(cell.isMine ? -1 : cell.mines);
+         }
+      }
+
+      return simplified;
+   }
+
+
+   /**
+    * Opens a given cell and may open nearby ones following the minesweeper game rules. The opened cells lose their flag or question mark.
+    * @example
+    * minefield2D.openCell([5, 8], false, {nearbyOpening: true, nearbyFlagging: false});
+    * @param {Number} x The X coordinate of the cell to open
+    * @param {Number} y The Y coordinate of the cell to open
+    * @param {Boolean} firstclick If true, the mines may be moved following the first-click policy (see {@link firstClickPolicy}). If false, they may be moved following the game mode instead (see {@link mode}) (default: {@link isNew()})
+    * @param {Boolean} nearbyOpening Enables the opening of nearby cells if the given cell is already open and its nearby mines number matches the number of nearby flagged cells (default: true)
+    * @param {Boolean} nearbyFlagging Enables the flagging of nearby cells if the given cell is already open and its nearby mines number matches the number of nearby closed cells (unless there aren't enough flags left, see {@link limitFlags}) (default: true)
+    * @returns {Array.<Array.<number>>} An array containing arrays with the coordinates of the updated cells
+    * @throws An error if parameters are invalid
+    */
+   openCell([x, y], firstclick=this.isNew(), {nearbyOpening=true, nearbyFlagging=true} = {})
+   {
+      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+
+      let minefield = this.toMinefield();
+      let cell = minefield.getCellIndex([x, y])
+
+      let res = minefield.openCell(cell, firstclick, {nearbyOpening: nearbyOpening, nearbyFlagging: nearbyFlagging});
+
+      let res2D = [];
+
+      for (let i=0; i<res.length; i++)
+      {
+         res2D.push(minefield.getCellCords(res[i]));
+      }
+
+      return res2D;
+   }
+
+   /**
+    * Flags a closed cell if it isn't flagged, or unflags it if it is (recorded in the move history).
+    * If question marks are enabled (see {@link questionMarks}), flagged cells get a question mark instead of being unflagged.
+    * @param {Number} x The X coordinate of the cell to flag/unflag
+    * @param {Number} y The Y coordinate of the cell to flag/unflag
+    * @returns {Array.<Array.<number>>} An array containing arrays with the coordinates of the updated cells (empty if the cell is already open, or if there aren't flags left)
+    * @throws An error if parameters are invalid
+    */
+   toggleFlag([x, y])
+   {
+      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+
+      let minefield = this.toMinefield();
+
+      return minefield.toggleFlag(minefield.getCellIndex([x, y])).map(cell => minefield.getCellCords(cell));
+   }
+   /**
+    * Sets the flag state of a closed cell (recorded in the move history)
+    * @example minefield2D.setFlag([2, 3], "question") //returns [[2, 3]]
+    * @param {Number} x The X coordinate of the cell
+    * @param {Number} y The Y coordinate of the cell
+    * @param {String} flagState The new state of the cell: "none", "flag" or "question"
+    * @returns {Array.<Array.<number>>} An array containing arrays with the coordinates of the updated cells (empty if the cell is open, already in that state, or if there aren't flags left)
+    * @throws An error if parameters are invalid
+    */
+   setFlag([x, y], flagState)
+   {
+      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+
+      let minefield = this.toMinefield();
+
+      return minefield.setFlag(minefield.getCellIndex([x, y]), flagState).map(cell => minefield.getCellCords(cell));
+   }
+
+
+   /**
+    * Adds a listener that gets called whenever the given event happens because of {@link openCell}, {@link toggleFlag}, {@link undo} or {@link redo}. Events:
+    *
+    *  - open/close: Some cells were opened/closed ("cells" property)
+    *  - flag/unflag: Some cells were flagged/unflagged ("cells" property)
+    *  - question/unquestion: Some cells were marked/unmarked with a question mark ("cells" property)
+    *  - relocate: Some mines were moved on the first click or by the game mode ("from" and "to" properties). When lazy mines are placed, "from" is empty
+    *  - explode: Some mines were opened ("cells" property)
+    *  - win: The minefield has been cleared
+    *  - lose: Some mines were opened and no lives are left (see {@link lives}) ("cells" property)
+    *
+    * @example
+    * minefield2D.on("open", event => render(event.cells));
+    * @param {String} type The name of the event
+    * @param {Function} listener A function that receives an Object containing the event "type" and the coordinates of the concerned cells
+    * @throws An error if parameters are invalid
+    */
+   on(type, listener)
+   {
+      addListener(this, type, listener, true);
+   }
+
+
+   /**
+    * Reverts the last move made with {@link openCell} or {@link toggleFlag} (including first-click mine relocations).
+    *
+    * Note that changes made by writing directly on the cells (or by {@link isSolvableFrom}) aren't recorded in the move history
+    * @returns {Array.<Array.<number>>} An array containing arrays with the coordinates of the updated cells (empty if there's nothing to undo)
+    */
+   undo()
+   {
+      let minefield = this.toMinefield();
+
+      return minefield.undo().map(cell => minefield.getCellCords(cell));
+   }
+   /**
+    * Re-applies the last move reverted with {@link undo}
+    * @returns {Array.<Array.<number>>} An array containing arrays with the coordinates of the updated cells (empty if there's nothing to redo)
+    */
+   redo()
+   {
+      let minefield = this.toMinefield();
+
+      return minefield.redo().map(cell => minefield.getCellCords(cell));
+   }
+   /**
+    * Returns the moves that have been made (and not reverted) in the current game, from the oldest to the newest.
+    * @example minefield2D.getHistory() //returns [{action: "open", cell: [2, 3], cells: [[2, 3], [3, 3]]}, {action: "flag", cell: [0, 1], cells: [[0, 1]]}]
+    * @returns {Array.<Object>} An array of moves, each containing the "action" that was made (open/flag), the coordinates of the "cell" it was made on and of the updated "cells"
+    */
+   getHistory()
+   {
+      let minefield = this.toMinefield();
+
+      return minefield.getHistory().map(move => ({action: move.action, cell: minefield.getCellCords(move.cell), cells: move.cells.map(cell => minefield.getCellCords(cell))}));
+   }
+
+   /**
+    * Returns the player's stats about the current game (see {@link Minefield.getStats})
+    * @returns {Object} An Object containing the game times, the clicks numbers, the 3BV, the 3BV per second, the IOE and the completion percentage
+    */
+   getStats()
+   {
+      return this.toMinefield().getStats();
+   }
+
+   /**
+    * Checks if a minefield is solvable from a given cell (by not guessing)
+    *
+    * The mines are never moved: the first-click policy and the game mode are ignored, so the cell has to be empty (with an opening), and the mines have to be placed already (see the lazyMines option).
+    *
+    * WARNING! This method gets resource-intensive the more the minefield is big (especially with the complete mode).
+    * @param {Number} x The X coordinate of the cell where to start
+    * @param {Number} y The Y coordinate of the cell where to start
+    * @param {Boolean} restore If true, the Minefield will be restored after the function ends (default: true)
+    * @param {Boolean} complete If true, when no other deduction is found, every mine layout of the closed cells near open ones is checked (along with the remaining mines number), so that no logically solvable minefield is missed (default: false)
+    * @returns {Boolean} A Boolean value that indicates whether the minefield is solvable from the given cell
+    * @throws An error if parameters are invalid
+    */
+   isSolvableFrom([x, y], restore=true, complete=false)
+   {
+      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+
+      let minefield = this.toMinefield();
+      let cell = minefield.getCellIndex([x, y])
+
+      return minefield.isSolvableFrom(cell, restore, complete);
+   }
+   /**
+    * The same as {@link isSolvableFrom}, but it pauses every few milliseconds so that it doesn't block the event loop (e.g. a browser UI), and it can be stopped.
+    * The minefield shouldn't be changed until the returned Promise is settled.
+    * @example
+    * let isSolvable = await minefield2D.isSolvableFromAsync([4, 4], {signal: controller.signal, maxTime: 5000});
+    * @param {Number} x The X coordinate of the cell where to start
+    * @param {Number} y The Y coordinate of the cell where to start
+    * @param {Boolean} restore If true, the Minefield will be restored after the function ends, also if it's stopped (default: true)
+    * @param {Boolean} complete If true, when no other deduction is found, every mine layout is checked (see {@link isSolvableFrom}) (default: false)
+    * @param {AbortSignal} signal An AbortSignal (or any Object with an "aborted" property) that stops the check when aborted (default: null)
+    * @param {Number} maxTime The maximum number of milliseconds to spend (default: Infinity)
+    * @param {Function} onProgress A function called on every pause with an Object containing the "solvedCells" (open or flagged) and the total "cells" (default: null)
+    * @returns {Promise<Boolean|null>} A Promise that resolves to a Boolean value that indicates whether the minefield is solvable from the given cell, or to null if the time limit was hit
+    * @throws An error if parameters are invalid, or the abort reason if the signal gets aborted
+    */
+   async isSolvableFromAsync([x, y], options = {})
+   {
+      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+
+      let minefield = this.toMinefield();
+
+      return minefield.isSolvableFromAsync(minefield.getCellIndex([x, y]), options);
+   }
+
+   /**
+    * Checks the minefield to find hints about its state
+    * @param {Boolean} accurateHint If false, the function will return the nearby cells around the hint. If true, it will only return the exact cells to open/flag. (default: false)
+    * @param {Boolean} getOneHint If true, the function will only return a single hint (the first one found starting from the top) (default: true)
+    * @param {Boolean} complete If true, every mine layout of the closed cells near open ones is also checked (along with the remaining mines number), to find the hints that the other deductions miss. They are returned last, with only the exact cells (default: false)
+    * @returns {Array.<any>} An array containing arrays with the coordinates of hint cells + a char value at index 0 of each (O/F) indicating if the hint is about opening or flagging cells
+    * @example minefield.getHint(true, false) //returns [['O', [2, 3], [2, 4]], ['F', [6, 5], [7, 5]]]
+    * minefield.getHint(true, true) //returns ['O', [2, 3], [2, 4]]
+    */
+   getHint(accurateHint=false, getOneHint=true, complete=false)
+   {
+      let minefield = this.toMinefield();
+
+      let res = minefield.getHint(accurateHint, getOneHint, complete);
+
+      if (res.length == 0) return [];
+      if (getOneHint) res = [res];
+
+
+      let res2D = [];
+
+      for (let i=0; i<res.length; i++)
+      {
+         res2D.push([res[0][0]]);
+
+         for (let j=1; j<res[i].length; j++)
+         {
+            res2D[i].push(minefield.getCellCords(res[i][j]));
+         }
+      }
+
+      return res2D;
+   }
+   /**
+    * Solves the minefield step by step from its current state, explaining each deduction (see the Minefield version for the rules).
+    * The minefield isn't changed: each deduction is applied to a copy of it, so that the next ones can build on it. Like {@link getHint}, the flags are treated as mines.
+    * @example
+    * for (let deduction of minefield2D.getDeductions()) console.log(deduction); //logs {rule: "satisfied", type: "open", cells: [[2, 1], [3, 1]], constraints: [[4, 0]]}...
+    * @param {Boolean} complete If true, every mine layout is checked when the other rules don't find anything (see {@link getHint}) (default: false)
+    * @yields {Object} An Object for each deduction, containing its "rule", its "type" ("open" or "flag"), the coordinates of the "cells" to open/flag and of the "constraints" (the open cells whose numbers it relies on)
+    * @returns {Boolean} A Boolean value that indicates whether the minefield got cleared (if false, a guess is needed)
+    */
+   *getDeductions(complete=false)
+   {
+      let minefield = this.toMinefield();
+      let deductions = minefield.getDeductions(complete);
+
+      while (true)
+      {
+         let {value, done} = deductions.next();
+
+         if (done) return value;
+
+         yield {...value, cells: value.cells.map(cell => minefield.getCellCords(cell)), constraints: value.constraints.map(cell => minefield.getCellCords(cell))};
+      }
+   }
+   /**
+    * Grades the minefield by the hardest technique needed to clear it from the given cell (regardless of its current state): "single", "subset", "mineCount", "enumeration" or "guess" (see the Minefield version).
+    *
+    * WARNING! This method gets resource-intensive the more the minefield is big (especially with the complete mode or guesses).
+    * @example minefield2D.getDifficulty([4, 4]) //returns {grade: "subset", level: 1, techniques: {single: 31, subset: 4, mineCount: 0, enumeration: 0, guess: 0}}
+    * @param {Number} x The X coordinate of the cell where to start
+    * @param {Number} y The Y coordinate of the cell where to start
+    * @param {Boolean} complete If true, the deductions made by checking every mine layout are also used, instead of guessing (default: false)
+    * @returns {Object|null} An Object containing the "grade", its "level" (from 0 to 4, to sort minefields) and how many times each technique was used ("techniques"), or null if the cell is a mine
+    * @throws An error if parameters are invalid
+    */
+   getDifficulty([x, y], complete=false)
+   {
+      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+
+      let minefield = this.toMinefield();
+
+      return minefield.getDifficulty(minefield.getCellIndex([x, y]), complete);
+   }
+
+   /**
+    * Calculates the exact probability of each closed (and not flagged) cell to be a mine, considering every mine layout that is consistent with the open numbers, the flags (treated as mines) and the remaining mines number.
+    *
+    * WARNING! This method gets resource-intensive the more the closed cells near open numbers are.
+    * @example minefield2D.getMineProbabilities()[2][3] //returns 0.25
+    * @returns {Array.<Array.<number>>|null} A 2D-Array containing, on each coordinates, the mine probability (between 0 and 1) of the cell, or null if the cell is open or flagged. If no mine layout is consistent with the minefield, null is returned instead
+    */
+   getMineProbabilities()
+   {
+      let probabilities = this.toMinefield().getMineProbabilities();
+
+      if (probabilities == null) return null;
+
+      let probabilities2D = [];
+
+      for (let i=0; i<this.width; i++)
+      {
+         probabilities2D.push([]);
+
+         for (let j=0; j<this.height; j++)
+         {
+            probabilities2D[i].push(probabilities[i+j*this.width]);
+         }
+      }
+
+      return probabilities2D;
+   }
+   /**
+    * Finds out whether the game can only go on with a guess: no closed cell is certainly safe and no closed unflagged cell is certainly a mine.
+    * Every mine layout that is consistent with the open numbers and the remaining mines number is considered, while the flags are ignored (they could be wrong).
+    *
+    * WARNING! This method gets resource-intensive the more the closed cells near open numbers are.
+    * @example minefield2D.getGuessCells() //returns [[7, 7], [7, 8]] (a 50/50)
+    * @returns {Array.<Array.<number>>|null} An empty array if a certain move exists. Otherwise, the coordinates of the smallest group of cells the player has to guess between (the cells constrained by the same open numbers, or the ones far from any of them). If the game is over (or no mine layout is consistent with the minefield) null is returned instead
+    */
+   getGuessCells()
+   {
+      let minefield = this.toMinefield();
+
+      return minefield.getGuessCells()?.map(cell => minefield.getCellCords(cell)) ?? null;
+   }
+   /**
+    * Plays the game until it's over (or the guesses limit is hit), like a player would (see the Minefield version for the guess strategies).
+    * The candidates given to a guess strategy function contain the "cell" coordinates, and the function has to return the coordinates of the cell to open.
+    *
+    * WARNING! This method gets resource-intensive the more the minefield is big.
+    * @example minefield2D.autoplay({cell: [4, 4]}) //returns {won: true, moves: 37, guesses: 1}
+    * @param {Array.<number>} cell The coordinates of the cell where to start, if the game isn't started yet (default: picked by the guess strategy)
+    * @param {String|Function} guessStrategy How the cell to open is picked when a guess is needed (default: "lowestRisk")
+    * @param {Number} maxGuesses The maximum number of guesses to make before stopping (default: Infinity)
+    * @param {Function} randomizer A function that returns a random decimal number between 0 and 1, given to the guess strategy (default: {@link Math.random})
+    * @returns {Object} An Object containing whether the game was "won", the number of "moves" made and how many of them were "guesses"
+    * @throws An error if parameters are invalid
+    */
+   autoplay({cell=null, guessStrategy="lowestRisk", ...options} = {})
+   {
+      let minefield = this.toMinefield();
+
+      if (cell != null)
+      {
+         let [x, y] = cell;
+
+         cell = minefield.getCellIndex([validateNumber(x, 0, this.width-1), validateNumber(y, 0, this.height-1)]);
+      }
+
+      if (typeof guessStrategy == "function")
+      {
+         let strategy = guessStrategy;
+
+         guessStrategy = (candidates, _, randomizer) =>
+         {
+            let guess = strategy(candidates.map(candidate => ({...candidate, cell: minefield.getCellCords(candidate.cell)})), this, randomizer);
+
+            return Array.isArray(guess) ? minefield.getCellIndex(guess) : null;
+         };
+      }
+
+      return minefield.autoplay({...options, cell, guessStrategy});
+   }
+
+
+   /**
+    * Finds the openings of the minefield (the zones that get opened with a single click on an empty cell), regardless of the cells state
+    * @returns {Array.<Array.<Array.<number>>>} An Array containing, for each opening, an Array with the coordinates of its empty cells and of the numbers around them
+    */
+   getOpenings()
+   {
+      let minefield = this.toMinefield();
+
+      return minefield.getOpenings().map(opening => opening.map(cell => minefield.getCellCords(cell)));
+   }
+   /**
+    * Finds the islands of the minefield (the groups of touching number cells that aren't around any opening), regardless of the cells state
+    * @returns {Array.<Array.<Array.<number>>>} An Array containing, for each island, an Array with the coordinates of its cells
+    */
+   getIslands()
+   {
+      let minefield = this.toMinefield();
+
+      return minefield.getIslands().map(island => island.map(cell => minefield.getCellCords(cell)));
+   }
+   /**
+    * Calculates the 3BV (Bechtel's Board Benchmark Value) of the minefield: the minimum number of clicks needed to clear it without flagging
+    * @returns {Number} A Number that indicates the openings number plus the number cells that aren't around any opening
+    */
+   get3BV()
+   {
+      return this.toMinefield().get3BV();
+   }
+   /**
+    * Calculates the ZiNi of the minefield: an estimation of the minimum number of clicks (flags and chords included) needed to clear it.
+    *
+    * It's found by always doing the chord that saves the most clicks (opening the chorded cell and flagging the mines around it if needed), until no chord saves any.
+    * @returns {Number} A Number that indicates the estimated clicks, never higher than the 3BV
+    */
+   getZiNi()
+   {
+      return this.toMinefield().getZiNi();
+   }
+
+   /**
+    * Calculates nearby mines number for each cell and assigns the value*/
+   resetMines()
+   {
+      for (let i=0; i<this.width; i++)
+      {
+         for (let j=0; j<this.height; j++)
+         {
+            this[i][j].mines = 0;
+         }
+      }
+
+      for (let i=0; i<this.width; i++)
+      {
+         for (let j=0; j<this.height; j++)
+         {
+            if (this[i][j].isMine)
+            {
+               let nearbyCells = this.getNearbyCells([i, j], true);
+
+               for (let k=0; k<nearbyCells.length; k++)
+               {
+                  this[nearbyCells[k][0]][nearbyCells[k][1]].mines++;
+               }
+            }
+         }
+      }
+   }
+
+
+   /**
+    * Executes a given function for every cell (passing them as parameters along with the corresponding coordinates, like a forEach)
+    * @param {Function} fun A function to execute for each cell
+    * @param {Boolean} returnBreak If true, the loop breaks whenever the given function returns a value that is not undefined and returns that value (default: false)
+    * @param {Boolean} giveIndex If true, the method will replace the coordinates of the cell with its corresponding index (default: false)
+    * @returns {any} Any value returned from the function if returnBreak is true
+    */
+   forEachCell(fun, returnBreak=false, giveIndex=false)
+   {
+      for (let i=0; i<this.height; i++)
+      {
+         for (let j=0; j<this.width; j++)
+         {
+            let res = fun(this[j][i], giveIndex ? j+i*this.width : [j, i]);
+            if (returnBreak && res !== undefined) return res;
+         }
+      }
+   }
+   /**
+    * Finds the coordinates of the nearby cell at the given index
+    * @param {Number} x The X coordinate of the concerned cell
+    * @param {Number} y The Y coordinate of the concerned cell
+    * @param {Boolean} includeSelf If true, also include the coordinates of the concerned cell (default: false)
+    * @returns {Array.<Array.<number>>} An Array containing arrays with the coordinates of of the cells directly around the given one
+    * @throws An error if parameters are invalid
+    */
+   getNearbyCells([x, y], includeSelf=false)
+   {
+      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+
+      let nearbyCells = [];
+
+      let isNotFirstRow = y > 0;
+      let isNotLastRow = y < this.height-1;
+
+
+      if (includeSelf ) nearbyCells.push([x, y])          //center
+
+      if (isNotFirstRow) nearbyCells.push([x, y-1]);      //up
+      if (isNotLastRow ) nearbyCells.push([x, y+1]);      //down
+
+      if (x > 0) //if cell isn't on first column
+      {
+         nearbyCells.push([x-1, y]);                      //left
+
+         if (isNotFirstRow) nearbyCells.push([x-1, y-1]); //up left
+         if (isNotLastRow ) nearbyCells.push([x-1, y+1]); //down left
+      }
+
+      if (x < this.width-1) //if cell isn't on last column
+      {
+         nearbyCells.push([x+1, y]);                      //right
+
+         if (isNotFirstRow) nearbyCells.push([x+1, y-1]); //up right
+         if (isNotLastRow ) nearbyCells.push([x+1, y+1]); //down right
+      }
+
+      return nearbyCells;
+   }
+   /**
+    * Uses a flood fill algorithm to find all the cells that have 0 mines nearby
+    * @param {Number} x The X coordinate of the concerned cell
+    * @param {Number} y The Y coordinate of the concerned cell
+    * @param {Boolean} includeFlags If true, the flagged cells will be included in the empty zone (default: false)
+    * @returns {Array.<Array.<number>>} An Array containing arrays with the coordinates of the empty cells zone starting from the given one
+    * @throws An error if parameters are invalid
+    */
+   getEmptyZone([x, y], includeFlags=false)
+   {
+      let minefield = this.toMinefield();
+
+      let cell = minefield.getCellIndex([x, y])
+
+      let res = minefield.getEmptyZone(cell, includeFlags);
+
+
+      let res2D = [];
+
+      for (let i=0; i<res.length; i++)
+      {
+         res2D.push(minefield.getCellCords(res[i]));
+      }
+
+      return res2D;
+   }
+   /**
+    * Finds the coordinates of all the square zone cells starting and ending at the specified coordinates
+    * @param {Number} begX The X coordinate of the start of the square zone
+    * @param {Number} begY The Y coordinate of the start of the square zone
+    * @param {Number} endX The X coordinate of the end of the square zone
+    * @param {Number} endY The Y coordinate of the end of the square zone
+    * @return {Array.<Array.<number>>} An array containing the coordinates of all the cells present in the square zone
+    * @throws An error if parameters are invalid
+    */
+   getSquareZone([begX, begY], [endX, endY])
+   {
+      begX = validateNumber(begX, 0, this.width-1), begY = validateNumber(begY, 0, this.height-1),
+      endX = validateNumber(endX, 0, this.width-1), endY = validateNumber(endY, 0, this.height-1);
+
+      if (endX < begX) [begX, endX] = [endX, begX];
+      if (endY < begY) [begY, endY] = [endY, begY];
+
+      let squareZone = [];
+
+      for (let i=begX; i<=endX; i++)
+      {
+         for (let j=begY; j<=endY; j++)
+         {
+            squareZone.push([i, j]);
+         }
+      }
+
+      return squareZone;
+   }
+   /**
+    * Exploded mines are the open mines: with more than one life (see {@link lives}), the game goes on after opening them.
+    * @returns {Array.<Array.<number>>} An array containing the coordinates of the exploded mines
+    */
+   getExplodedMines()
+   {
+      let explodedMines = [];
+
+      this.forEachCell((cell, cords) =>
+      {
+         if (cell.isOpen && cell.isMine) explodedMines.push(cords);
+      });
+
+      return explodedMines;
+   }
+}
+
+
+function untracked(minefield, fun)
+{
+   let state = gameStates.get(minefield);
+   let tracking = state.tracking;
+
+   state.tracking = false;
+
+   try
+   {
+      return fun();
+   }
+   finally
+   {
+      state.tracking = tracking;
+   }
+}
 
-                     if (matrixIncludesArr(phantomGroups, tempPhantomGroup) == false) phantomGroups.push(tempPhantomGroup);
-                  }
+function addListener(minefield, type, listener, is2D)
+{
+   if (["open", "close", "flag", "unflag", "question", "unquestion", "relocate", "explode", "win", "lose"].includes(type) == false) throw new Error("Unknown event type");
+   if (typeof listener != "function") throw new Error("Invalid parameter type");
+
+   gameStates.get(minefield).listeners.push({type: type, listener: listener, is2D: is2D});
+}
+
+function getCellState(cell)
+{
+   return {isOpen: cell.isOpen, isMine: cell.isMine, isFlagged: cell.isFlagged, isQuestioned: cell.isQuestioned};
+}
+
+function beginMove(minefield, action, cell, options = null)
+{
+   if (gameStates.get(minefield).tracking == false) return null;
+
+   let before = [];
+
+   for (let i=0; i<minefield.cells; i++) before.push(getCellState(minefield[i]));
+
+   return {action: action, cell: cell, options: options, before: before, minesPending: gameStates.get(minefield).minesPending};
+}
+
+function endMove(minefield, move, updatedCells)
+{
+   if (move == null) return;
+
+   let state = gameStates.get(minefield);
+   let changes = [];
+
+   for (let i=0; i<minefield.cells; i++)
+   {
+      let before = move.before[i], after = getCellState(minefield[i]);
+
+      if (before.isOpen != after.isOpen || before.isMine != after.isMine || before.isFlagged != after.isFlagged || before.isQuestioned != after.isQuestioned)
+      {
+         changes.push({index: i, before: before, after: after});
+      }
+   }
+
+   countClick(state.stats, move, changes.length == 0);
+   recordMove(minefield, move, updatedCells, changes);
+
+   if (changes.length == 0) return;
+
+   state.history.splice(state.historyIndex);
+   state.history.push({action: move.action, cell: move.cell, changes: changes, placedMines: move.minesPending && state.minesPending == false});
+   state.historyIndex++;
+
+   updateClock(minefield);
+   emitChanges(minefield, changes, "before", "after");
+}
+
+function applyMove(minefield, move, side)
+{
+   let minesChanged = false;
+
+   for (let change of move.changes)
+   {
+      if (minefield[change.index].isMine != change[side].isMine) minesChanged = true;
+
+      Object.assign(minefield[change.index], change[side]);
+   }
+
+   if (minesChanged) minefield.resetMines();
+   if (move.placedMines) gameStates.get(minefield).minesPending = side == "before";
+
+   updateClock(minefield);
+
+   if (side == "before") emitChanges(minefield, move.changes, "after", "before");
+   else emitChanges(minefield, move.changes, "before", "after");
+
+   return move.changes.map(change => change.index);
+}
+
+/**
+ * Moves the mines following the first-click policy (or places them, if they are still pending)
+ */
+function applyFirstClickPolicy(minefield, cell)
+{
+   let state = gameStates.get(minefield);
+   let {firstClickPolicy, randomizer, minesPending} = state;
+
+   if (firstClickPolicy == "none" && minesPending == false) return;
+
+   let safeCells = firstClickPolicy == "none" ? (minesPending ? [cell] : []) : firstClickPolicy == "safe" ? [cell] : minefield.getNearbyCells(cell, true); //lazy mines never go on the opened cell
+   let mines = [];
+
+   for (let i=0; i<minefield.cells; i++)
+   {
+      if (minefield[i].isMine) mines.push(i);
+   }
+
+   let minesNumber = minesPending ? minefield.mines : mines.length;
+
+   if (minesNumber > minefield.cells - safeCells.length) safeCells = [cell];
+   if (minesNumber == minefield.cells) safeCells = [];
+
+   let newMines = null;
+
+   if (firstClickPolicy == "noGuess" && safeCells.length > 1)
+   {
+      let isSafe = minesPending == false && safeCells.every(x => minefield[x].isMine == false);
+
+      if (isSafe && new Minefield(minefield.width, minefield.height, mines).isSolvableFrom(cell)) return;
+
+      let generated = Minefield.generateNoGuess(minefield.width, minefield.height, minesNumber, cell, randomizer);
+
+      if (generated != null) newMines = generated.simplify().flatMap((x, i) => x == -1 ? [i] : []);
+   }
+
+   if (newMines == null && minesPending)
+   {
+      newMines = getRandomMines(minefield.cells, minesNumber, safeCells, randomizer);
+   }
+   else if (newMines == null)
+   {
+      let movedMines = safeCells.filter(x => minefield[x].isMine);
+
+      if (movedMines.length == 0) return;
+
+      newMines = mines.filter(x => movedMines.includes(x) == false).concat(getRandomMines(minefield.cells, movedMines.length, [...safeCells, ...mines], randomizer));
+   }
+
+   for (let i=0; i<minefield.cells; i++) minefield[i].isMine = false;
+   for (let x of newMines) minefield[x].isMine = true;
+
+   state.minesPending = false;
+   minefield.resetMines();
+}
+
+/**
+ * Moves the mines before the given cells get opened, following the game mode:
+ *  - kaboom: an opened cell that could be a mine becomes safe if no cell is certainly safe, or a mine otherwise
+ *  - evil: if none of the opened cells is a mine but some could be, the first of them becomes one
+ */
+function applyGameMode(minefield, cells)
+{
+   let analysis = analyzeMinefield(minefield, true);
+   if (analysis == null) return;
+
+   let fixedCells = null;
+
+   if (gameStates.get(minefield).mode == "evil")
+   {
+      let guesses = cells.filter(x => analysis.probabilities.get(x) > 0);
+      if (guesses.length == 0 || guesses.some(x => minefield[x].isMine)) return;
+
+      fixedCells = new Map([[guesses[0], true]]);
+   }
+   else
+   {
+      let probability = analysis.probabilities.get(cells[0]);
+      if (probability == null || probability == 0 || probability == 1) return;
+
+      let hasSafeCells = [...analysis.probabilities.values()].includes(0);
+      if (minefield[cells[0]].isMine == hasSafeCells) return;
+
+      fixedCells = new Map([[cells[0], hasSafeCells]]);
+   }
+
+   let newMines = getRandomLayout(minefield, fixedCells, gameStates.get(minefield).randomizer);
+   if (newMines == null) return;
+
+   for (let i=0; i<minefield.cells; i++) minefield[i].isMine = false;
+   for (let x of newMines) minefield[x].isMine = true;
+
+   minefield.resetMines();
+}
+
+function setFlagState(minefield, cell, flagState)
+{
+   let move = beginMove(minefield, "flag", cell, {flagState: flagState});
+   let updatedCells = [];
+   let isFlagged = flagState == "flag", isQuestioned = flagState == "question";
+
+   let isChanged = minefield[cell].isFlagged != isFlagged || minefield[cell].isQuestioned != isQuestioned;
+   let canFlag = isFlagged == false || minefield[cell].isFlagged || minefield.canFlag();
+
+   if (minefield[cell].isOpen == false && isChanged && canFlag)
+   {
+      minefield[cell].isFlagged = isFlagged;
+      minefield[cell].isQuestioned = isQuestioned;
+      updatedCells.push(cell);
+   }
+
+   endMove(minefield, move, updatedCells);
+
+   return updatedCells;
+}
+
+function recordMove(minefield, move, updatedCells, changes)
+{
+   let before = move.before[move.cell];
+   let type = before.isOpen ? "chord" : "open";
+
+   if (move.action == "flag") type = move.options.flagState == "none" ? "unflag" : move.options.flagState; //the one tried, also if refused
+
+   let recording = gameStates.get(minefield).recording;
+
+   recording.initial ??= move.before;
+
+   let action = recordAction(minefield, type, move.cell, updatedCells);
+
+   if (type == "chord" && (move.options.nearbyOpening == false || move.options.nearbyFlagging == false)) action.options = {...move.options};
+
+   if (changes.some(change => change.before.isMine != change.after.isMine))
+   {
+      action.mines = [];
+
+      for (let i=0; i<minefield.cells; i++)
+      {
+         if (minefield[i].isMine) action.mines.push(i);
+      }
+   }
+}
+
+function recordAction(minefield, type, cell, updatedCells)
+{
+   let state = gameStates.get(minefield);
+   let recording = state.recording;
+
+   if (state.tracking == false) return null;
+
+   recording.startTime ??= Date.now();
+
+   let action = {type: type, cell: cell, time: Date.now() - recording.startTime, cells: [...updatedCells]};
+   if (cell == null) delete action.cell;
+
+   recording.actions.push(action);
+
+   return action;
+}
+
+/**
+ * Makes a replay action on the minefield, moving the mines first if they were moved by it
+ */
+function replayAction(minefield, action, index)
+{
+   let invalid = () => new Error("Invalid replay action at index " + index);
+
+   if (action.type == "undo") return minefield.undo();
+   if (action.type == "redo") return minefield.redo();
+
+   if (["open", "chord", "flag", "unflag", "question"].includes(action.type) == false || Number.isInteger(action.cell) == false) throw invalid();
+   if (action.cell < 0 || action.cell >= minefield.cells) throw invalid();
+
+   if (action.type == "flag" || action.type == "unflag" || action.type == "question")
+   {
+      return minefield.setFlag(action.cell, action.type == "unflag" ? "none" : action.type);
+   }
+
+   if (minefield[action.cell].isOpen != (action.type == "chord")) throw invalid();
+
+   let options = {nearbyOpening: action.options?.nearbyOpening ?? true, nearbyFlagging: action.options?.nearbyFlagging ?? true};
+
+   if (action.mines == undefined) return minefield.openCell(action.cell, false, options);
+
+   let mines = validateCellList(action.mines, minefield.cells, "mines");
+   let move = beginMove(minefield, "open", action.cell, options);
+
+   let updatedCells = untracked(minefield, () =>
+   {
+      for (let i=0; i<minefield.cells; i++) minefield[i].isMine = false;
+      for (let i of mines) minefield[i].isMine = true;
+
+      minefield.mines = mines.length;
+      minefield.resetMines();
+
+      return minefield.openCell(action.cell, false, options);
+   });
+
+   endMove(minefield, move, updatedCells);
+
+   return updatedCells;
+}
+
+function validateCellList(cells, cellsNumber, name)
+{
+   if (Array.isArray(cells) == false || cells.some(cell => Number.isInteger(cell) == false || cell < 0 || cell >= cellsNumber) || new Set(cells).size != cells.length)
+   {
+      throw new Error("Invalid replay " + name + " cells");
+   }
+
+   return cells;
+}
+
+function createStats()
+{
+   return {startTime: null, endTime: null, pauseTime: null, pausedTime: 0, leftClicks: 0, chordClicks: 0, flagClicks: 0, wastedClicks: 0};
+}
+
+function countClick(stats, move, wasted)
+{
+   if (stats.endTime != null) return;
+
+   if (stats.pauseTime != null)
+   {
+      stats.pausedTime += Date.now() - stats.pauseTime;
+      stats.pauseTime = null;
+   }
+
+   if (move.action == "flag") stats.flagClicks++;
+   else if (move.before[move.cell].isOpen) stats.chordClicks++;
+   else stats.leftClicks++;
+
+   if (move.action != "flag" && wasted == false) stats.startTime ??= Date.now(); //the clock starts with the first click that changes the board
+
+   if (wasted) stats.wastedClicks++;
+}
+
+/**
+ * Stops the game clock when the game ends, or restarts it if the game has been resumed with an undo
+ */
+function updateClock(minefield)
+{
+   let stats = gameStates.get(minefield).stats;
+
+   if (stats.startTime == null) return;
+
+   if (minefield.isOver())
+   {
+      if (stats.pauseTime != null) minefield.resume();
+
+      stats.endTime ??= Date.now();
+   }
+   else stats.endTime = null;
+}
+
+function emitChanges(minefield, changes, from, to)
+{
+   let events = {open: [], close: [], flag: [], unflag: [], question: [], unquestion: [], relocateFrom: [], relocateTo: [], mines: []};
+
+   for (let change of changes)
+   {
+      let before = change[from], after = change[to];
+
+      if (before.isOpen != after.isOpen)
+      {
+         if (after.isOpen)
+         {
+            events.open.push(change.index);
+            if (after.isMine) events.mines.push(change.index);
+         }
+         else events.close.push(change.index);
+      }
+
+      if (before.isFlagged != after.isFlagged) events[after.isFlagged ? "flag" : "unflag"].push(change.index);
+      if (before.isQuestioned != after.isQuestioned) events[after.isQuestioned ? "question" : "unquestion"].push(change.index);
+      if (before.isMine != after.isMine) events[after.isMine ? "relocateTo" : "relocateFrom"].push(change.index);
+   }
+
+   if (events.relocateFrom.length > 0 || events.relocateTo.length > 0) emit(minefield, "relocate", {from: events.relocateFrom, to: events.relocateTo});
+
+   for (let type of ["open", "close", "flag", "unflag", "question", "unquestion"])
+   {
+      if (events[type].length > 0) emit(minefield, type, {cells: events[type]});
+   }
+
+   if (events.mines.length > 0) emit(minefield, "explode", {cells: events.mines});
+
+   if (events.mines.length > 0 && minefield.isLost()) emit(minefield, "lose", {cells: events.mines});
+   else if (events.open.length > 0 && minefield.isCleared()) emit(minefield, "win", {});
+}
+
+function emit(minefield, type, event)
+{
+   for (let entry of gameStates.get(minefield).listeners)
+   {
+      if (entry.type != type) continue;
+
+      let payload = {type: type};
+
+      for (let key in event)
+      {
+         payload[key] = entry.is2D ? event[key].map(cell => minefield.getCellCords(cell)) : [...event[key]];
+      }
+
+      entry.listener(payload);
+   }
+}
+
+/**
+ * Tries random minefields until one is solvable from the given cell, yielding while it checks them (see {@link solveFrom})
+ */
+function* findNoGuessMinefield(width, height, mines, cell, randomizer, maxAttempts, maxTime, complete, progress)
+{
+   width = validateNumber(width, 1), height = validateNumber(height, 1);
+
+   if (typeof randomizer == "string" || typeof randomizer == "number") randomizer = Minefield.createRandomizer(randomizer);
+
+   let is2D = Array.isArray(cell);
+   let template = new Minefield(width, height, []);
+
+   cell = is2D ? template.getCellIndex([validateNumber(cell[0], 0, width-1), validateNumber(cell[1], 0, height-1)]) : validateNumber(cell, 0, template.cells-1);
+
+   let safeArea = template.getNearbyCells(cell, true);
+   mines = validateNumber(mines, 0, template.cells - safeArea.length);
+   maxAttempts = validateNumber(maxAttempts, 1);
+
+   let endTime = Date.now() + maxTime;
+
+   for (let attempt=0; attempt < maxAttempts && Date.now() < endTime; attempt++)
+   {
+      let minefield = new Minefield(width, height, getRandomMines(template.cells, mines, safeArea, randomizer), randomizer);
+
+      progress.attempts = attempt+1;
+      progress.minefield = minefield;
+
+      if (yield* solveFrom(minefield, cell, true, complete)) return is2D ? minefield.toMinefield2D() : minefield;
+   }
+
+   return null;
+}
+
+/**
+ * The solving algorithm of {@link Minefield#isSolvableFrom}, as a generator that yields after each round of deductions (and while checking lots of cells or mine layouts), so that it can be paused
+ */
+function* solveFrom(minefield, cell, restore, complete)
+{
+   //unlike openCell, the mines are never moved (or placed)
+   if (gameStates.get(minefield).minesPending || minefield[cell].isMine || minefield[cell].mines != 0) return false;
+
+   for (let x of minefield.getEmptyZone(cell))
+   {
+      minefield[x].isOpen = true;
+      minefield[x].isFlagged = false;
+      minefield[x].isQuestioned = false;
+   }
+
+
+   let nearbyCells = getAllNearbyCells(minefield);
+   let unknownCells = [], frontierCells = new Set(), changedCells = [];
+
+   for (let i=0; i<minefield.cells; i++)
+   {
+      if (minefield[i].isOpen) changedCells.push(i);
+      else if (minefield[i].isFlagged == false) unknownCells.push(i);
+   }
+
+   //every change is tracked, so that only the cells around it have to be checked again
+   let setCell = (x, property) =>
+   {
+      minefield[x][property] = true;
+      minefield[x].isQuestioned = false;
+      changedCells.push(x);
+   };
+
+   let queue = [], isQueued = new Array(minefield.cells).fill(false);
+
+   let enqueueChanges = () =>
+   {
+      for (let x of changedCells)
+      {
+         frontierCells.delete(x);
+
+         for (let y of [x, ...nearbyCells[x]])
+         {
+            if (minefield[y].isOpen)
+            {
+               if (isQueued[y] == false)
+               {
+                  isQueued[y] = true;
+                  queue.push(y);
                }
             }
+            else if (minefield[x].isOpen && minefield[y].isFlagged == false) frontierCells.add(y);
+         }
+      }
+
+      changedCells = [];
+   };
+
+   let updates = true;
+
+   while (updates)
+   {
+      updates = false;
+
+      queue = [];
+      enqueueChanges();
+
+      for (let j=0; j<queue.length; j++) //1st try: open cells using flags
+      {
+         if (j % 1000 == 999) yield;
+
+         let i = queue[j];
+         isQueued[i] = false;
+
+         let {closedCells, flaggedCells, unflaggedCells} = countNearbyCells(minefield, nearbyCells[i]);
+
+         if (unflaggedCells.length == 0 || minefield[i].isMine) continue;
+
+         if (minefield[i].mines == 0) //all nearby cells are fine
+         {
+            for (let x of minefield.getEmptyZone(i))
+            {
+               if (minefield[x].isOpen == false) setCell(x, "isOpen");
+            }
+         }
+         else
+         {
+            if (minefield[i].mines == flaggedCells) //all nearby cells are fine (except for the flagged cells) > open them
+            {
+               for (let x of unflaggedCells) setCell(x, "isOpen");
+            }
+
+            if (minefield[i].mines == closedCells) //all nearby closed cells are mines > flag them all
+            {
+               for (let x of unflaggedCells) setCell(x, "isFlagged");
+            }
          }
+
+         enqueueChanges();
       }
 
-      let shiftUpdates = true;
-      while (shiftUpdates) //phantom bombs shifting
-      {
-         shiftUpdates = false;
 
-         for (let i of importantCells)
+      //2nd try: open cells using phantom bombs
+      let importantCells = getImportantCells(minefield, nearbyCells, [...frontierCells].sort((a, b) => a - b));
+      let phantomGroups = getPhantomGroups(minefield, nearbyCells, importantCells);
+
+      for (let i of importantCells) //open cells using phantom bombs
+      {
+         for (let phantomGroup of getGroupsAround(phantomGroups, nearbyCells[i]))
          {
-            let nearbyCells = this.getNearbyCells(i);
-            let phantomGroupSum = [0];
+            let phantomGroupUncontainedCells = phantomGroup.cells.filter(x => nearbyCells[i].includes(x) == false).length;
 
-            let closedCells = [];
-            let flaggedCells = 0;
+            let flaggedCells = 0, unknownNearbyCells = [];
 
-            for (let k=0; k < nearbyCells.length; k++)
+            for (let x of nearbyCells[i])
             {
-               if (this[nearbyCells[k]].isFlagged) flaggedCells++;
-               else if (this[nearbyCells[k]].isOpen == false) closedCells.push(nearbyCells[k]);
+               if (isKnownMine(minefield[x])) flaggedCells++;
+               else if (minefield[x].isOpen == false && phantomGroup.set.has(x) == false) unknownNearbyCells.push(x);
             }
 
-            for (let j=0; j < phantomGroups.length; j++)
+            if (unknownNearbyCells.length > 0)
             {
-               if (phantomGroups[j].slice(1).every(x => closedCells.includes(x)) && closedCells.length != phantomGroups[j].length-1)
+               if (minefield[i].mines == flaggedCells + phantomGroup.mines + unknownNearbyCells.length) //all unknown cells are mines > flag them all
                {
-                  let shift = closedCells.filter(x => phantomGroups[j].includes(x, 1) == false).sort((a, b) => a - b);
-                  let shiftMines = this[i].mines - phantomGroups[j][0] - flaggedCells;
-
-                  let shiftPhantomGroup = [shiftMines, ...shift];
-
-                  if (shift.length > 0 && shiftMines > 0 && matrixIncludesArr(phantomGroups, shiftPhantomGroup) == false)
+                  for (let x of unknownNearbyCells) setCell(x, "isFlagged");
+                  updates = true;
+               }
+               if (minefield[i].mines == flaggedCells + phantomGroup.mines - phantomGroupUncontainedCells && updates == false) //all unknown cells are clear > open them
+               {
+                  for (let x of unknownNearbyCells)
                   {
-                     let push = true;
-
-                     for (let k=0; k<phantomGroups.length; k++)
-                     {
-                        if (phantomGroups[k].every(x => shiftPhantomGroup.includes(x)))
-                        {
-                           push = false;
-                           break;
-                        }
-                     }
-
-                     if (push)
+                     if (minefield[x].isFlagged == false)
                      {
-                        phantomGroups.push(shiftPhantomGroup)
-                        shiftUpdates = true;
+                        setCell(x, "isOpen");
+                        updates = true;
                      }
                   }
-
-                  if (phantomGroups[j].slice(1).some(x => phantomGroupSum.includes(x, 1)) == false)
-                  {
-                     phantomGroupSum[0] += phantomGroups[j][0];
-                     phantomGroupSum.push(...phantomGroups[j].slice(1));
-                  }
                }
             }
+         }
+      }
+
+
+      if (updates == false) //3th try: open cells using remaining flags count
+      {
+         unknownCells = unknownCells.filter(i => minefield[i].isOpen == false && minefield[i].isFlagged == false);
+
+         if (minefield.remainingMines == 0)
+         {
+            for (let i of unknownCells) minefield[i].isOpen = true;
+         }
+         else
+         {
+            let remainingPhantomGroups = getRemainingPhantomGroups(phantomGroups);
 
-            if (phantomGroupSum[0] > 0 && matrixIncludesArr(phantomGroups, phantomGroupSum) == false)
+            if (remainingPhantomGroups.mines == minefield.remainingMines)
             {
-               phantomGroups.push(phantomGroupSum);
-               shiftUpdates = true;
+               for (let i of unknownCells)
+               {
+                  if (remainingPhantomGroups.set.has(i) == false)
+                  {
+                     setCell(i, "isOpen");
+                     updates = true;
+                  }
+               }
             }
          }
       }
 
-      for (let i of importantCells) //2nd try: using phantom bombs
+      if (updates == false && complete) //4th try: open and flag cells by checking every possible mine layout
       {
-         let nearbyCells = this.getNearbyCells(i);
+         let analysis = yield* analyzeFrontier(minefield, false);
 
-         for (let j=0; j < phantomGroups.length; j++)
+         for (let [x, probability] of analysis?.probabilities ?? [])
          {
-            if (nearbyCells.some(x => phantomGroups[j].includes(x, 1)))
-            {
-               let phantomGroupUncontainedCells = phantomGroups[j].slice(1).filter(x => nearbyCells.includes(x) == false).length;
+            if (probability == 0) setCell(x, "isOpen");
+            else if (probability == 1) setCell(x, "isFlagged");
+            else continue;
+
+            updates = true;
+         }
+      }
 
-               let flaggedCells = 0, unknownCells = [], pgCenterNearbyCells = [];
+      yield;
+   }
 
-               for (let k=0; k < nearbyCells.length; k++)
-               {
-                  let tempNearbyCells = this.getNearbyCells(nearbyCells[k]);
 
-                  if (phantomGroups[j].slice(1).every(x => tempNearbyCells.includes(x)) && this[nearbyCells[k]].isOpen)
-                  {
-                     pgCenterNearbyCells.push(...tempNearbyCells);
-                  }
+   let isSolvable = false;
+   if (minefield.isCleared()) isSolvable = true;
 
-                  if (this[nearbyCells[k]].isFlagged) flaggedCells++;
-                  else if (this[nearbyCells[k]].isOpen == false && phantomGroups[j].includes(nearbyCells[k], 1) == false)
-                  {
-                     unknownCells.push(nearbyCells[k]);
-                  }
-               }
+   if (restore) closeAllCells(minefield);
 
-               if (unknownCells.length > 0)
-               {
-                  if (this[i].mines == flaggedCells + phantomGroups[j][0] + unknownCells.length) //all unknown cells are mines > flag them all
-                  {
-                     hintCells.push(["F", ...new Set([...nearbyCells, ...pgCenterNearbyCells, i])]);
-                     accurateHintCells.push(["F", ...unknownCells]);
-                  }
-                  else if (this[i].mines == flaggedCells + phantomGroups[j][0] - phantomGroupUncontainedCells) //all unknown cells are clear > open them
-                  {
-                     unknownCells = unknownCells.filter(x => this[x].isFlagged == false);
+   return isSolvable;
+}
 
-                     if (unknownCells.length > 0)
-                     {
-                        hintCells.push(["O", ...new Set([...nearbyCells, ...pgCenterNearbyCells, i])]);
-                        accurateHintCells.push(["O", ...unknownCells]);
-                     }
-                  }
-               }
-            }
-         }
+function closeAllCells(minefield)
+{
+   for (let i=0; i < minefield.cells; i++)
+   {
+      minefield[i].isOpen = false;
+      minefield[i].isFlagged = false;
+   }
+}
+
+function runToEnd(generator)
+{
+   let step = generator.next();
+
+   while (step.done == false) step = generator.next();
+
+   return step.value;
+}
+
+/**
+ * Runs a generator, pausing every few milliseconds to let the event loop go on
+ * @returns {Promise} The value returned by the generator, or null if the time limit was hit
+ */
+async function runAsync(generator, getProgress, {signal=null, maxTime=Infinity, onProgress=null} = {})
+{
+   let endTime = Date.now() + maxTime;
+   let pauseTime = Date.now() + ASYNC_TIME_SLICE;
+
+   while (true)
+   {
+      if (signal?.aborted) throw signal.reason ?? new Error("The operation was aborted");
+      if (Date.now() >= endTime) return null;
+
+      let step = generator.next();
+
+      if (step.done) return step.value;
+
+      if (Date.now() >= pauseTime)
+      {
+         onProgress?.(getProgress());
+
+         await new Promise(resolve => setTimeout(resolve, 0));
+         pauseTime = Date.now() + ASYNC_TIME_SLICE;
+      }
+   }
+}
+
+function countSolvedCells(minefield)
+{
+   let solvedCells = 0;
+
+   for (let i=0; i<minefield.cells; i++)
+   {
+      if (minefield[i].isOpen || minefield[i].isFlagged) solvedCells++;
+   }
+
+   return solvedCells;
+}
+
+function getAllNearbyCells(minefield)
+{
+   let nearbyCells = [];
+
+   for (let i=0; i<minefield.cells; i++) nearbyCells.push(minefield.getNearbyCells(i));
+
+   return nearbyCells;
+}
+
+/**
+ * Finds the open cells (not exploded mines) that are near the given closed unflagged ones (in the order the solving algorithm checks them)
+ */
+function getImportantCells(minefield, nearbyCells, unknownCells)
+{
+   let importantCells = new Set();
+
+   for (let i of unknownCells)
+   {
+      for (let x of nearbyCells[i])
+      {
+         if (minefield[x].isOpen && minefield[x].isMine == false) importantCells.add(x);
+      }
+   }
+
+   return [...importantCells];
+}
+
+/**
+ * Counts the closed cells among the given ones, split into flagged and unflagged. Exploded mines count as closed flagged cells
+ */
+function countNearbyCells(minefield, nearbyCells)
+{
+   let closedCells = 0, flaggedCells = 0, unflaggedCells = [];
+
+   for (let x of nearbyCells)
+   {
+      if (minefield[x].isOpen == false || minefield[x].isMine)
+      {
+         closedCells++;
+
+         if (isKnownMine(minefield[x])) flaggedCells++;
+         else unflaggedCells.push(x);
+      }
+   }
+
+   return {closedCells: closedCells, flaggedCells: flaggedCells, unflaggedCells: unflaggedCells};
+}
+
+/**
+ * Phantom groups are groups of closed cells that are known to contain an exact number of mines (because of the open cells in "sources").
+ * They are stored in insertion order, indexed by their cells and by their content (to skip duplicates)
+ */
+function addPhantomGroup(phantomGroups, mines, cells, sources=[])
+{
+   let key = mines + ":" + cells.join(",");
+
+   if (phantomGroups.keys.has(key)) return null;
+
+   let phantomGroup = {id: phantomGroups.list.length, mines: mines, cells: cells, set: new Set(cells), sources: sources};
+
+   phantomGroups.keys.add(key);
+   phantomGroups.list.push(phantomGroup);
+
+   for (let cell of cells)
+   {
+      if (phantomGroups.byCell.has(cell) == false) phantomGroups.byCell.set(cell, []);
+      phantomGroups.byCell.get(cell).push(phantomGroup);
+   }
+
+   return phantomGroup;
+}
+
+function hasPhantomGroup(phantomGroups, mines, cells)
+{
+   return phantomGroups.keys.has(mines + ":" + cells.join(","));
+}
+
+/**
+ * Finds the phantom groups that have at least a cell in the given ones (sorted by insertion order)
+ */
+function getGroupsAround(phantomGroups, cells)
+{
+   let groups = new Set();
+
+   for (let cell of cells)
+   {
+      for (let phantomGroup of phantomGroups.byCell.get(cell) ?? []) groups.add(phantomGroup);
+   }
+
+   return [...groups].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Creates the phantom groups of the closed cells around each important cell, then keeps shifting them (subtracting the groups contained in others) until no new group is found
+ */
+function getPhantomGroups(minefield, nearbyCells, importantCells)
+{
+   let phantomGroups = {list: [], keys: new Set(), byCell: new Map()};
+
+   for (let i of importantCells)
+   {
+      if (minefield[i].mines == 0) continue;
+
+      let {flaggedCells, unflaggedCells} = countNearbyCells(minefield, nearbyCells[i]);
+
+      if (unflaggedCells.length > 0 && minefield[i].mines > flaggedCells) //all nearby not flagged cells have some mines > phantom flagging
+      {
+         addPhantomGroup(phantomGroups, minefield[i].mines - flaggedCells, unflaggedCells.sort((a, b) => a - b), [i]);
       }
+   }
 
-      if (this.usedFlags == this.mines) //3th try: using remaining flags count
+
+   let shiftUpdates = true;
+   let checkedGroups = new Map();
+
+   while (shiftUpdates) //shifting & adding phantom bombs
+   {
+      shiftUpdates = false;
+
+      for (let i of importantCells)
       {
          let closedCells = [];
+         let flaggedCells = 0;
 
-         for (let i=0; i < this.cells; i++)
+         for (let x of nearbyCells[i])
          {
-            if (this[i].isOpen == false && this[i].isFlagged == false)
-            {
-               closedCells.push(i);
-            }
+            if (isKnownMine(minefield[x])) flaggedCells++;
+            else if (minefield[x].isOpen == false) closedCells.push(x);
          }
 
-         if (closedCells.length > 0)
-         {
-            hintCells.push(["O", ...closedCells]);
-            accurateHintCells.push(["O", ...closedCells]);
-         }
-      }
-      else
-      {
-         phantomGroups.sort((a, b) => a.length - b.length)
-         let remainingPhantomGroups = [0];
+         let closedSet = new Set(closedCells);
+         let isContained = (group) => group.cells.length != closedCells.length && group.cells.every(x => closedSet.has(x));
 
-         for (let i=0; i<phantomGroups.length; i++)
+         //a cell can only shift new groups if some group that fits in its closed cells was added since it was last checked
+         if (checkedGroups.has(i))
          {
-            if (phantomGroups[i].slice(1).some(x => JSON.stringify(remainingPhantomGroups.slice(1)).includes(x)) == false)
-            {
-               remainingPhantomGroups[0] += phantomGroups[i][0];
-               remainingPhantomGroups.push(...phantomGroups[i].slice(1));
-            }
+            let lastGroup = checkedGroups.get(i);
+            let hasNewGroups = closedCells.some(x => (phantomGroups.byCell.get(x) ?? []).some(group => group.id >= lastGroup && isContained(group)));
+
+            if (hasNewGroups == false) continue;
          }
 
-         if (remainingPhantomGroups[0] == this.mines - this.usedFlags)
+         checkedGroups.set(i, phantomGroups.list.length);
+
+         let containedGroups = getGroupsAround(phantomGroups, closedCells).filter(isContained);
+
+         let phantomGroupSum = {mines: 0, cells: [], set: new Set(), sources: new Set()};
+
+         for (let j=0; j<containedGroups.length; j++)
          {
-            let safeCells = [];
+            let phantomGroup = containedGroups[j];
+
+            let shift = closedCells.filter(x => phantomGroup.set.has(x) == false).sort((a, b) => a - b);
+            let shiftMines = minefield[i].mines - phantomGroup.mines - flaggedCells;
 
-            for (let i=0; i < this.cells; i++)
+            if (shift.length > 0 && shiftMines > 0 && hasPhantomGroup(phantomGroups, shiftMines, shift) == false)
             {
-               if (this[i].isOpen == false && this[i].isFlagged == false && remainingPhantomGroups.includes(i, 1) == false)
+               //skip the shift if an existing group is made of its values (its mines number included)
+               let shiftValues = new Set([shiftMines, ...shift]);
+               let push = getGroupsAround(phantomGroups, shiftValues).some(group => shiftValues.has(group.mines) && group.cells.every(x => shiftValues.has(x))) == false;
+
+               if (push)
                {
-                  safeCells.push(i);
+                  containedGroups.push(addPhantomGroup(phantomGroups, shiftMines, shift, [...new Set([i, ...phantomGroup.sources])]));
+                  shiftUpdates = true;
                }
             }
 
-            if (safeCells.length > 0)
+            if (phantomGroup.cells.some(x => phantomGroupSum.set.has(x)) == false)
             {
-               hintCells.push(["O", ...safeCells]);
-               accurateHintCells.push(["O", ...safeCells]);
+               phantomGroupSum.mines += phantomGroup.mines;
+               phantomGroupSum.cells.push(...phantomGroup.cells);
+               for (let x of phantomGroup.cells) phantomGroupSum.set.add(x);
+               for (let x of phantomGroup.sources) phantomGroupSum.sources.add(x);
             }
          }
+
+         if (phantomGroupSum.mines > 0 && addPhantomGroup(phantomGroups, phantomGroupSum.mines, phantomGroupSum.cells, [...phantomGroupSum.sources]) != null)
+         {
+            shiftUpdates = true;
+         }
       }
+   }
 
-      if (getOneHint)
+   return phantomGroups;
+}
+
+/**
+ * Sums up the phantom groups that don't overlap, starting from the smallest ones
+ */
+function getRemainingPhantomGroups(phantomGroups)
+{
+   let remainingPhantomGroups = {mines: 0, cells: [], set: new Set(), sources: new Set()};
+
+   for (let phantomGroup of [...phantomGroups.list].sort((a, b) => a.cells.length - b.cells.length))
+   {
+      if (phantomGroup.cells.some(x => remainingPhantomGroups.set.has(x)) == false)
       {
-         hintCells = hintCells[0];
-         accurateHintCells = accurateHintCells[0];
+         remainingPhantomGroups.mines += phantomGroup.mines;
+         remainingPhantomGroups.cells.push(...phantomGroup.cells);
+         for (let x of phantomGroup.cells) remainingPhantomGroups.set.add(x);
+         for (let x of phantomGroup.sources) remainingPhantomGroups.sources.add(x);
+      }
+   }
+
+   return remainingPhantomGroups;
+}
+
+/**
+ * Finds the simplest deduction about the closed cells of a minefield, with the rule that made it and the open cells it relies on (or null if there isn't any)
+ */
+function getDeduction(minefield, complete)
+{
+   let nearbyCells = getAllNearbyCells(minefield);
+   let unknownCells = [];
+
+   for (let i=0; i<minefield.cells; i++)
+   {
+      if (minefield[i].isOpen == false && minefield[i].isFlagged == false) unknownCells.push(i);
+   }
+
+   let importantCells = getImportantCells(minefield, nearbyCells, unknownCells);
+   let sorted = cells => [...new Set(cells)].sort((a, b) => a - b);
+
+   for (let i of importantCells)
+   {
+      let {closedCells, flaggedCells, unflaggedCells} = countNearbyCells(minefield, nearbyCells[i]);
+
+      if (minefield[i].mines == flaggedCells) return {rule: "satisfied", type: "open", cells: sorted(unflaggedCells), constraints: [i]};
+      if (minefield[i].mines == closedCells) return {rule: "allMines", type: "flag", cells: sorted(unflaggedCells), constraints: [i]};
+   }
+
+   let phantomGroups = getPhantomGroups(minefield, nearbyCells, importantCells);
+
+   for (let i of importantCells)
+   {
+      for (let phantomGroup of getGroupsAround(phantomGroups, nearbyCells[i]))
+      {
+         let phantomGroupUncontainedCells = phantomGroup.cells.filter(x => nearbyCells[i].includes(x) == false).length;
+
+         let flaggedCells = 0, otherCells = [];
+
+         for (let x of nearbyCells[i])
+         {
+            if (isKnownMine(minefield[x])) flaggedCells++;
+            else if (minefield[x].isOpen == false && phantomGroup.set.has(x) == false) otherCells.push(x);
+         }
+
+         if (otherCells.length == 0) continue;
+
+         let type = null;
+
+         if (minefield[i].mines == flaggedCells + phantomGroup.mines + otherCells.length) type = "flag";
+         else if (minefield[i].mines == flaggedCells + phantomGroup.mines - phantomGroupUncontainedCells) type = "open";
+
+         if (type != null) return {rule: "subset", type: type, cells: sorted(otherCells), constraints: sorted([i, ...phantomGroup.sources])};
+      }
+   }
+
+   let remainingMines = minefield.remainingMines;
+
+   if (remainingMines == 0) return {rule: "mineCount", type: "open", cells: unknownCells, constraints: []};
+   if (remainingMines == unknownCells.length) return {rule: "mineCount", type: "flag", cells: unknownCells, constraints: []};
+
+   let remainingPhantomGroups = getRemainingPhantomGroups(phantomGroups);
+
+   if (remainingPhantomGroups.mines == remainingMines)
+   {
+      let safeCells = unknownCells.filter(x => remainingPhantomGroups.set.has(x) == false);
+
+      if (safeCells.length > 0) return {rule: "mineCount", type: "open", cells: safeCells, constraints: sorted(remainingPhantomGroups.sources)};
+   }
+
+   if (complete)
+   {
+      let analysis = analyzeMinefield(minefield);
+      if (analysis == null) return null;
+
+      let {regions, interiorCells} = analysis.frontier;
+      let allConstraints = sorted(regions.flatMap(region => region.constraints.map(constraint => constraint.cell)));
+
+      for (let [cells, constraints] of [...regions.map(region => [region.cells, region.constraints.map(constraint => constraint.cell)]), [interiorCells, allConstraints]])
+      {
+         for (let [type, probability] of [["open", 0], ["flag", 1]])
+         {
+            let found = cells.filter(x => analysis.probabilities.get(x) == probability);
+
+            if (found.length > 0) return {rule: "enumeration", type: type, cells: sorted(found), constraints: sorted(constraints)};
+         }
+      }
+   }
+
+   return null;
+}
+
+function isKnownMine(cell)
+{
+   return cell.isOpen ? cell.isMine : cell.isFlagged;
+}
+
+/**
+ * Splits the closed unflagged cells of a minefield into independent frontier regions (cells constrained by the same open numbers) and unconstrained ones.
+ * If ignoreFlags is true, flagged cells are treated like the other closed cells
+ * @returns {Object|null} The regions, the unconstrained cells and the remaining mines number, or null if the open numbers and flags are inconsistent
+ */
+function getFrontier(minefield, ignoreFlags=false)
+{
+   let unknownCells = [], knownMines = 0;
+   let isKnown = cell => ignoreFlags ? cell.isOpen && cell.isMine : isKnownMine(cell);
+
+   for (let i=0; i<minefield.cells; i++)
+   {
+      if (isKnown(minefield[i])) knownMines++;
+      else if (minefield[i].isOpen == false) unknownCells.push(i);
+   }
+
+   let remainingMines = minefield.mines - knownMines;
+   if (remainingMines < 0 || remainingMines > unknownCells.length) return null;
+
+
+   let constraints = [];
+   let parents = new Map();
+
+   let findRoot = (cell) =>
+   {
+      while (parents.get(cell) != cell) cell = parents.get(cell);
+      return cell;
+   };
+
+   for (let i=0; i<minefield.cells; i++)
+   {
+      if (minefield[i].isOpen == false || minefield[i].isMine) continue;
+
+      let nearbyCells = minefield.getNearbyCells(i);
+      let cells = [], mines = minefield[i].mines;
+
+      for (let cell of nearbyCells)
+      {
+         if (isKnown(minefield[cell])) mines--;
+         else if (minefield[cell].isOpen == false) cells.push(cell);
+      }
+
+      if (mines < 0 || mines > cells.length) return null;
+      if (cells.length == 0) continue;
+
+      constraints.push({cell: i, cells: cells, mines: mines});
+
+      for (let cell of cells)
+      {
+         if (parents.has(cell) == false) parents.set(cell, cell);
+      }
+
+      for (let cell of cells)
+      {
+         parents.set(findRoot(cell), findRoot(cells[0]));
       }
+   }
 
-      return (accurateHint ? accurateHintCells : hintCells) ?? [];
+
+   let regions = new Map();
+
+   for (let cell of parents.keys())
+   {
+      let root = findRoot(cell);
+
+      if (regions.has(root) == false) regions.set(root, {cells: [], constraints: []});
+      regions.get(root).cells.push(cell);
+   }
+
+   for (let constraint of constraints)
+   {
+      regions.get(findRoot(constraint.cells[0])).constraints.push(constraint);
    }
 
+   return {
+      regions: [...regions.values()],
+      interiorCells: unknownCells.filter(cell => parents.has(cell) == false),
+      remainingMines: remainingMines
+   };
+}
 
-   /**
-    * Calculates nearby mines number for each cell and assigns the value*/
-   resetMines()
+/**
+ * Calls the given function for every mine layout of a frontier region that satisfies all of its constraints (backtracking), yielding every 1000 steps so that it can be paused
+ */
+function* forEachRegionSolution(region, fun)
+{
+   let cellConstraints = new Map(region.cells.map(cell => [cell, []]));
+
+   for (let i=0; i<region.constraints.length; i++)
    {
-      for (let i=0; i<this.cells; i++) this[i].mines = 0;
+      for (let cell of region.constraints[i].cells) cellConstraints.get(cell).push(i);
+   }
 
-      for (let i=0; i<this.cells; i++)
+   //breadth-first order, so that constraints get completed as soon as possible
+   let order = [region.cells[0]], visited = new Set(order);
+
+   for (let i=0; i<order.length; i++)
+   {
+      for (let constraint of cellConstraints.get(order[i]))
       {
-         if (this[i].isMine)
+         for (let cell of region.constraints[constraint].cells)
          {
-            let nearbyCells = this.getNearbyCells(i, true);
-
-            for (let j=0; j<nearbyCells.length; j++)
+            if (visited.has(cell) == false)
             {
-               this[nearbyCells[j]].mines++;
+               visited.add(cell);
+               order.push(cell);
             }
          }
       }
    }
 
+   let placed = region.constraints.map(() => 0);
+   let unassigned = region.constraints.map(constraint => constraint.cells.length);
+   let solution = new Map();
+   let mines = 0;
 
-   /**
-    * Executes a given function for every cell (passing them as parameters along with the corresponding index, like a forEach)
-    * @param {Function} fun A function to execute for each cell
-    * @param {Boolean} returnBreak If true, the loop breaks whenever the given function returns a value that is not undefined and returns that value (default: false)
-    * @param {Boolean} giveIndex If false, the method will replace the index of the cell with its corresponding coordinates (default: true)
-    * @returns {any} Any value returned from the function if returnBreak is true
-    */
-   forEachCell(fun, returnBreak=false, giveIndex=true)
+   //the choice made on each cell of the order (-1: none yet, 0: not a mine, 1: a mine) and whether it was valid
+   let choices = order.map(() => -1), valid = order.map(() => false);
+   let depth = 0, steps = 0;
+
+   while (depth >= 0)
    {
-      for (let i=0; i<this.cells; i++)
+      if (depth == order.length)
       {
-         let res = fun(this[i], giveIndex ? i : [i % this.width, Math.floor(i/this.width)]);
-         if (returnBreak && res !== undefined) return res;
+         fun(solution, mines);
+         depth--;
+         continue;
       }
-   }
-   /**
-    * Finds the coordinates of the nearby cell at the given index
-    * @param {Number} cell The index of the concerned cell
-    * @param {Boolean} includeSelf If true, also include the index of the concerned cell (default: false)
-    * @returns {Array.<number>} An Array containing the indexes of the cells directly around the given one
-    * @throws An error if parameters are invalid
-    */
-   getNearbyCells(cell, includeSelf=false)
-   {
-      cell = validateNumber(cell, 0, this.cells-1);
 
-      let nearbyCells = [];
+      let cell = order[depth];
 
-      let x = cell % this.width;
-      let y = Math.floor(cell / this.width);
+      if (choices[depth] != -1) //undo the last choice
+      {
+         for (let constraint of cellConstraints.get(cell))
+         {
+            unassigned[constraint]++;
+            if (choices[depth] == 1) placed[constraint]--;
+         }
 
-      let isNotFirstRow = y > 0;
-      let isNotLastRow = y < this.height-1;
+         if (valid[depth] && choices[depth] == 1) mines--;
+      }
 
+      if (choices[depth] == 1) //both choices were tried
+      {
+         choices[depth] = -1;
+         depth--;
+         continue;
+      }
 
-      if (includeSelf ) nearbyCells.push(cell)                   //center
+      let isMine = ++choices[depth] == 1;
 
-      if (isNotFirstRow) nearbyCells.push(cell-this.width);      //up
-      if (isNotLastRow ) nearbyCells.push(cell+this.width);      //down
+      valid[depth] = true;
 
-      if (x > 0) //if cell isn't on first column
+      for (let constraint of cellConstraints.get(cell))
       {
-         nearbyCells.push(cell-1);                               //left
+         unassigned[constraint]--;
+         if (isMine) placed[constraint]++;
 
-         if (isNotFirstRow) nearbyCells.push(cell-this.width-1); //up left
-         if (isNotLastRow ) nearbyCells.push(cell+this.width-1); //down left
+         let target = region.constraints[constraint].mines;
+         if (placed[constraint] > target || placed[constraint] + unassigned[constraint] < target) valid[depth] = false;
       }
 
-      if (x < this.width-1) //if cell isn't on last column
+      if (valid[depth])
       {
-         nearbyCells.push(cell+1);                               //right
+         solution.set(cell, isMine);
+         if (isMine) mines++;
 
-         if (isNotFirstRow) nearbyCells.push(cell-this.width+1); //up right
-         if (isNotLastRow ) nearbyCells.push(cell+this.width+1); //down right
+         depth++;
       }
 
-      return nearbyCells;
+      if (++steps % 1000 == 0) yield;
    }
-   /**
-    * Uses a flood fill algorithm to find all the cells that have 0 mines nearby
-    * @param {Number} cell The index of the concerned cell
-    * @param {Boolean} includeFlags Whether to include flagged cells in the empty zone (default: false)
-    * @returns {Array.<number>} An Array containing the indexes of the empty cells zone starting from the given one
-    * @throws An error if parameters are invalid
-    */
-   getEmptyZone(cell, includeFlags=false)
-   {
-      if (this[cell].mines != 0) return [];
+}
 
-      let emptyZone = new Set([cell]);
+/**
+ * Counts the mine layouts of every frontier region and combines them with the unconstrained cells and the remaining mines number
+ * @returns {Object|null} The mine probability of each closed unflagged cell, or null if no mine layout is consistent with the minefield
+ */
+function analyzeMinefield(minefield, ignoreFlags=false)
+{
+   return runToEnd(analyzeFrontier(minefield, ignoreFlags));
+}
 
-      for (let emptyCell of emptyZone)
-      {
-         if (this[emptyCell].mines == 0)
-         {
-            let nearbyCells = this.getNearbyCells(emptyCell);
+/**
+ * The algorithm of {@link analyzeMinefield}, as a generator that yields while it checks the mine layouts, so that it can be paused
+ */
+function* analyzeFrontier(minefield, ignoreFlags)
+{
+   let frontier = getFrontier(minefield, ignoreFlags);
+   if (frontier == null) return null;
 
-            for (let j=0; j<nearbyCells.length; j++)
-            {
-               if (includeFlags || this[nearbyCells[j]].isFlagged == false)
-               {
-                  emptyZone.add(nearbyCells[j])
-               }
-            }
-         }
-      }
+   let {regions, interiorCells, remainingMines} = frontier;
 
-      return [...emptyZone];
-   }
-   /**
-    * Finds the indexes of all the square zone cells starting and ending at the specified indexes.
-    * @param {Number} begIndex The index of the start of the square zone
-    * @param {Number} endIndex The index of the end of the square zone
-    * @return {Array<number>} An array containing the indexes of all the cells present in the square zone
-    * @throws An error if parameters are invalid
-    */
-   getSquareZone(begIndex, endIndex)
+   for (let region of regions)
    {
-      begIndex = validateNumber(begIndex, 0, this.cells-1), endIndex = validateNumber(endIndex, 0, this.cells-1);
-
-      let begCords = [begIndex % this.width, Math.floor(begIndex/this.width)];
-      let endCords = [endIndex % this.width, Math.floor(endIndex/this.width)];
-
-      if (endCords[0] < begCords[0]) [begCords[0], endCords[0]] = [endCords[0], begCords[0]];
-      if (endCords[1] < begCords[1]) [begCords[1], endCords[1]] = [endCords[1], begCords[1]];
+      region.counts = [];
+      region.cellCounts = new Map(region.cells.map(cell => [cell, []]));
 
-      let squareZone = [];
-
-      for (let i=begCords[0]; i<=endCords[0]; i++)
+      yield* forEachRegionSolution(region, (solution, mines) =>
       {
-         for (let j=begCords[1]; j<=endCords[1]; j++)
+         region.counts[mines] = (region.counts[mines] ?? 0) + 1;
+
+         for (let [cell, isMine] of solution)
          {
-            squareZone.push(i + j*this.width);
+            let cellCounts = region.cellCounts.get(cell);
+            cellCounts[mines] = (cellCounts[mines] ?? 0) + (isMine ? 1 : 0);
          }
-      }
+      });
 
-      return squareZone;
+      if (region.counts.length == 0) return null;
    }
 
 
-   /**
-    * @param {Number} cell The index of the desired cell
-    * @returns {Array<Number>} An array that has the x and y cords of the desired cell at index 0 and 1 respectively
-    * @throws An error if parameters are invalid
-    */
-   getCellCords(cell)
-   {
-      cell = validateNumber(cell);
+   //weight of each total number of frontier mines, given by the ways to place the rest in the unconstrained cells
+   let maxLog = -Infinity;
 
-      return [cell % this.width, Math.floor(cell/this.width)];
-   }
-   /**
-    * @param {Number} x The X coordinate of the desired cell
-    * @param {Number} y The Y coordinate of the desired cell
-    * @returns {Number} A Number that indicates the index of the cell that is in the specified row and column
-    * @throws An error if parameters are invalid
-    */
-   getCellIndex([x, y])
+   for (let mines=0; mines <= remainingMines; mines++)
    {
-      x = validateNumber(x), y = validateNumber(y);
-
-      return x + y*this.width;
+      if (remainingMines - mines <= interiorCells.length) maxLog = Math.max(maxLog, logCombinations(interiorCells.length, remainingMines - mines));
    }
 
-
-   /**
-    * @returns {Boolean} a Boolean value that indicates whether the game is new (before the first move)
-    */
-   isNew()
+   let getWeight = (mines) =>
    {
-      return this.forEachCell(cell => {if (cell.isOpen) return false;}, true) ?? true;
-   }
-   /**
-    * @returns {Boolean} a Boolean value that indicates whether the game is going on (after the first move, before game over)
-    */
-   isGoingOn()
+      if (mines > remainingMines || remainingMines - mines > interiorCells.length) return 0;
+      return Math.exp(logCombinations(interiorCells.length, remainingMines - mines) - maxLog);
+   };
+
+   let convolve = (a, b) =>
    {
-      let foundClosedEmpty = false;
-      let foundOpen = false;
+      let res = [];
 
-      return this.forEachCell(cell =>
+      for (let i=0; i<a.length; i++)
       {
-         if (cell.isOpen && cell.isMine) return false;
+         for (let j=0; j<b.length; j++)
+         {
+            if (a[i] && b[j]) res[i+j] = (res[i+j] ?? 0) + a[i]*b[j];
+         }
+      }
 
-         if (cell.isOpen) foundOpen = true;
-         else if (cell.isOpen == false && cell.isMine == false) foundClosedEmpty = true;
-      }, true) ?? (foundOpen && foundClosedEmpty);
-   }
-   /**
-    * @returns {Boolean} a Boolean value that indicates whether the game is over (both cleared or lost)
-    */
-   isOver()
-   {
-      let foundClosedEmpty = false;
+      return res;
+   };
 
-      return this.forEachCell(cell =>
-      {
-         if (cell.isOpen == false && cell.isMine == false) foundClosedEmpty = true;
-         else if (cell.isOpen && cell.isMine) return true;
-      }, true) ?? foundClosedEmpty == false;
-   }
-   /**
-    * @returns {Boolean} a Boolean value that indicates whether the minefield has been cleared (no mines opened)
-    */
-   isCleared()
-   {
-      return this.forEachCell(cell =>
-      {
-         if (cell.isOpen == false && cell.isMine == false) return false;
-         if (cell.isOpen && cell.isMine) return false;
-      }, true) ?? true;
-   }
-   /**
-    * @returns {Boolean} a Boolean value that indicates whether a mine has been opened in the current minefield
-    */
-   isLost()
-   {
-      return this.forEachCell(cell => {if (cell.isOpen && cell.isMine) return true;}, true) ?? false;
-   }
 
+   let probabilities = new Map();
+   let total = regions.reduce((dist, region) => convolve(dist, region.counts), [1]);
 
-   /**
-    * Console logs the minefield in a visual way. Legend:
-    *
-    *  - ?: Unknown cells (neither opened or flagged)
-    *  - F: Flagged cells
-    *  - [N]: An open cell, with its nearby mines number
-    *  - X: An open mine
-    *
-    * @param {Boolean} allsee If true, every cell will be showed as if they were open (default: false)
-    */
-   visualDebug(allsee=false)
+   for (let region of regions)
    {
-      let text = "";
+      let others = regions.reduce((dist, other) => other == region ? dist : convolve(dist, other.counts), [1]);
 
-      this.forEachCell((cell, i) =>
+      let regionWeights = region.counts.map((count, mines) =>
       {
-         let char = "";
+         let weight = 0;
+         for (let i=0; i<others.length; i++) if (others[i]) weight += others[i] * getWeight(i + mines);
+         return weight;
+      });
 
-         if (cell.isOpen == false && allsee == false)
-         {
-            if (cell.isFlagged) char += "F";
-            else char += "?";
-         }
-         else if (cell.isMine == true) char += "X";
-         else char += cell.mines;
+      let denominator = 0;
+      for (let mines=0; mines<region.counts.length; mines++) if (region.counts[mines]) denominator += region.counts[mines] * regionWeights[mines];
 
-         if ((i+1) % this.width == 0) text += char + "\n";
-         else text += char + " ";
-      }, false, true);
+      if (denominator == 0) return null;
 
-      console.log(text);
-   }
+      for (let [cell, cellCounts] of region.cellCounts)
+      {
+         let numerator = 0;
+         for (let mines=0; mines<cellCounts.length; mines++) if (cellCounts[mines]) numerator += cellCounts[mines] * regionWeights[mines];
 
+         probabilities.set(cell, numerator / denominator);
+      }
+   }
 
-   /**
-    * @returns {Number} A Number that indicates the used flags in the current minefield
-    */
-   get usedFlags()
+   if (interiorCells.length > 0)
    {
-      let flags = 0;
+      let numerator = 0, denominator = 0;
 
-      this.forEachCell(cell =>
+      for (let mines=0; mines<total.length; mines++)
       {
-         if (cell.isFlagged) flags++;
-      });
+         if (total[mines] == undefined) continue;
 
-      return flags;
+         let weight = total[mines] * getWeight(mines);
+
+         numerator += weight * (remainingMines - mines);
+         denominator += weight * interiorCells.length;
+      }
+
+      if (denominator == 0) return null;
+
+      for (let cell of interiorCells) probabilities.set(cell, numerator / denominator);
    }
-}
+   else if (total[remainingMines] == undefined) return null;
 
+   return {probabilities: probabilities, frontier: frontier};
+}
 
 /**
- * An Object containing:
- * @property {Number}  width            - The minefield width (1-based)
- * @property {Number}  height           - The minefield height (1-based)
- * @property {Number}  cells            - The minefield total cells number
- * @property {Number}  mines            - The minefield total mines number
- * @property {Object}  [X][Y]           - Each minefield cell on its coordinates
- * @property {Boolean} [X][Y].isOpen    - Whether a cell is revealed
- * @property {Boolean} [X][Y].isMine    - Whether a cell is a mine
- * @property {Boolean} [X][Y].isFlagged - Whether a cell is flagged
- * @property {Number}  [X][Y].mines     - Number of mines present around a cell
+ * Picks a random mine layout (with the same mines number) that is consistent with the open cells, and where the given cells are mines or not. Flags are ignored
+ * @returns {Array.<number>|null} The indexes of the mines, or null if there is no consistent layout
  */
-class Minefield2D extends Minefield
+function getRandomLayout(minefield, fixedCells, randomizer)
 {
-   constructor(width, height, mines = Math.floor(width*height/5), randomizer = Math.random)
-   {
-      super(width, height, mines, randomizer);
-
-      let minefield2D = [];
+   let frontier = getFrontier(minefield, true);
+   if (frontier == null) return null;
 
-      for (let i=0; i<width; i++)
-      {
-         minefield2D.push([]);
+   let {regions, interiorCells, remainingMines} = frontier;
+   let mines = [];
 
-         for (let j=0; j<height; j++)
-         {
-            minefield2D[i][j] = this[i+j*width];
-         }
-      }
+   for (let i=0; i<minefield.cells; i++)
+   {
+      if (minefield[i].isOpen && minefield[i].isMine) mines.push(i);
+   }
 
-      for (let i=0; i<this.cells; i++) delete this[i];
-      Object.assign(this, minefield2D);
+   let freeCells = [];
 
-      return this;
+   for (let cell of interiorCells)
+   {
+      if (fixedCells.has(cell) == false) freeCells.push(cell);
+      else if (fixedCells.get(cell))
+      {
+         mines.push(cell);
+         remainingMines--;
+      }
    }
 
+   if (remainingMines < 0) return null;
 
-   /**
-    * Converts the Minefield2D object to a Minefield object.
-    *
-    * WARNING! The two objects will share the same reference to the same cells so any changes made to one will be reflected in the other
-    * @returns {Minefield} A Minefield object
-    */
-   toMinefield()
+   //a random layout for each mines number of each region (reservoir sampling), weighted by how many layouts there are
+   for (let region of regions)
    {
-      let minefield = new Minefield(this.width, this.height);
+      region.counts = [];
+      region.picks = [];
 
-      for (let i=0; i<this.width; i++)
+      runToEnd(forEachRegionSolution(region, (solution, mines) =>
       {
-         for (let j=0; j<this.height; j++)
+         for (let [cell, isMine] of fixedCells)
          {
-            delete minefield[i+j*this.width];
-            minefield[i+j*this.width] = this[i][j];
+            if (solution.has(cell) && solution.get(cell) != isMine) return;
          }
-      }
 
-      return minefield;
+         region.counts[mines] = (region.counts[mines] ?? 0) + 1;
+
+         if (randomizer() * region.counts[mines] < 1) region.picks[mines] = [...solution].flatMap(([cell, isMine]) => isMine ? [cell] : []);
+      }));
+
+      if (region.counts.length == 0) return null;
    }
 
+   let maxLog = -Infinity;
 
-   /**
-    * Returns a simplified version of the minefield.
-    *
-    *  - -1: A mine
-    *  - [0-8]: A cell with the number of nearby mines
-    *
-    * @returns {Array.<Array.<number>>} A Number-Only 2D-Array containing the numbers with meanings explained above
-    */
-   simplify()
+   for (let mines=Math.max(remainingMines - freeCells.length, 0); mines <= remainingMines; mines++)
    {
-      let simplified = [];
+      maxLog = Math.max(maxLog, logCombinations(freeCells.length, remainingMines - mines));
+   }
 
-      for (let i=0; i<this.width; i++)
-      {
-         simplified.push([]);
+   let getWeight = (mines) =>
+   {
+      if (mines > remainingMines || remainingMines - mines > freeCells.length) return 0;
+      return Math.exp(logCombinations(freeCells.length, remainingMines - mines) - maxLog);
+   };
 
-         for (let j=0; j<this.height; j++)
-         {
-            let cell = this[i][j];
+   let pickIndex = (weights) =>
+   {
+      let total = weights.reduce((sum, weight) => sum + (weight ?? 0), 0);
+      if (total == 0) return -1;
 
-            simplified[i].push(cell.isMine ? -1 : cell.mines);
-         }
-      }
+      let target = randomizer() * total, last = -1;
 
-      return simplified;
-   }
+      for (let i=0; i<weights.length; i++)
+      {
+         if ((weights[i] ?? 0) == 0) continue;
 
+         target -= weights[i];
+         last = i;
 
-   /**
-    * Opens a given cell and may open nearby ones following the minesweeper game rules.
-    * @example
-    * minefield2D.openCell([5, 8], false, {nearbyOpening: true, nearbyFlagging: false});
-    * @param {Number} x The X coordinate of the cell to open
-    * @param {Number} y The Y coordinate of the cell to open
-    * @param {Boolean} firstclick If true, and a bomb is opened, it will be moved in another cell starting from 0 (default: {@link isNew()})
-    * @param {Boolean} nearbyOpening Enables the opening of nearby cells if the given cell is already open and its nearby mines number matches the number of nearby flagged cells (default: true)
-    * @param {Boolean} nearbyFlagging Enables the flagging of nearby cells if the given cell is already open and its nearby mines number matches the number of nearby closed cells (default: true)
-    * @returns {Array.<Array.<number>>} An array containing arrays with the coordinates of the updated cells
-    * @throws An error if parameters are invalid
-    */
-   openCell([x, y], firstclick=this.isNew(), {nearbyOpening=true, nearbyFlagging=true} = {})
-   {
-      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+         if (target < 0) return i;
+      }
 
-      let minefield = this.toMinefield();
-      let cell = minefield.getCellIndex([x, y])
+      return last; //rounding errors
+   };
 
-      let res = minefield.openCell(cell, firstclick, {nearbyOpening: nearbyOpening, nearbyFlagging: nearbyFlagging});
+   //the layouts count of the first regions for each mines number
+   let distributions = [[1]];
 
-      let res2D = [];
+   for (let region of regions)
+   {
+      let last = distributions[distributions.length-1], next = [];
 
-      for (let i=0; i<res.length; i++)
+      for (let i=0; i<last.length; i++)
       {
-         res2D.push(minefield.getCellCords(res[i]));
+         for (let j=0; j<region.counts.length; j++)
+         {
+            if (last[i] && region.counts[j]) next[i+j] = (next[i+j] ?? 0) + last[i]*region.counts[j];
+         }
       }
 
-      return res2D;
+      distributions.push(next);
    }
 
-   /**
-    * Checks if a minefield is solvable from a given cell (by not guessing)
-    *
-    * WARNING! This method gets resource-intensive the more the minefield is big.
-    * @param {Number} x The X coordinate of the cell where to start
-    * @param {Number} y The Y coordinate of the cell where to start
-    * @param {Boolean} restore If true, the Minefield will be restored after the function ends (default: true)
-    * @returns {Boolean} A Boolean value that indicates whether the minefield is solvable from the given cell
-    * @throws An error if parameters are invalid
-    */
-   isSolvableFrom([x, y], restore=true)
-   {
-      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
+   let frontierMines = pickIndex(distributions[regions.length].map((count, mines) => count * getWeight(mines)));
+   if (frontierMines == -1) return null;
 
-      let minefield = this.toMinefield();
-      let cell = minefield.getCellIndex([x, y])
+   remainingMines -= frontierMines;
+
+   for (let i=regions.length-1; i >= 0; i--)
+   {
+      let regionMines = pickIndex(regions[i].counts.map((count, mines) => count * (distributions[i][frontierMines - mines] ?? 0)));
 
-      return minefield.isSolvableFrom(cell, restore);
+      mines.push(...regions[i].picks[regionMines]);
+      frontierMines -= regionMines;
    }
 
-   /**
-    * Checks the minefield to find hints about its state
-    * @param {Boolean} accurateHint If false, the function will return the nearby cells around the hint. If true, it will only return the exact cells to open/flag. (default: false)
-    * @param {Boolean} getOneHint If true, the function will only return a single hint (the first one found starting from the top) (default: true)
-    * @returns {Array.<any>} An array containing arrays with the coordinates of hint cells + a char value at index 0 of each (O/F) indicating if the hint is about opening or flagging cells
-    * @example minefield.getHint(true, false) //returns [['O', [2, 3], [2, 4]], ['F', [6, 5], [7, 5]]]
-    * minefield.getHint(true, true) //returns ['O', [2, 3], [2, 4]]
-    */
-   getHint(accurateHint=false, getOneHint=true)
+   //Durstenfeld shuffle algorithm (stopped after the mines are picked)
+   for (let i=freeCells.length-1; i >= freeCells.length-remainingMines && i > 0; i--)
    {
-      let minefield = this.toMinefield();
-
-      let res = minefield.getHint(accurateHint, getOneHint);
+      let j = Math.floor(randomizer() * (i+1));
+      [freeCells[i], freeCells[j]] = [freeCells[j], freeCells[i]];
+   }
 
-      if (res.length == 0) return [];
-      if (getOneHint) res = [res];
+   mines.push(...freeCells.slice(freeCells.length-remainingMines));
 
+   return mines;
+}
 
-      let res2D = [];
+function getBoardZones(minefield)
+{
+   let openings = [], islands = [];
+   let zonedCells = new Set();
 
-      for (let i=0; i<res.length; i++)
+   for (let i=0; i<minefield.cells; i++)
+   {
+      if (minefield[i].isMine == false && minefield[i].mines == 0 && zonedCells.has(i) == false)
       {
-         res2D.push([res[0][0]]);
+         let opening = minefield.getEmptyZone(i, true).sort((a, b) => a - b);
 
-         for (let j=1; j<res[i].length; j++)
-         {
-            res2D[i].push(minefield.getCellCords(res[i][j]));
-         }
-      }
+         for (let x of opening) zonedCells.add(x);
 
-      return res2D;
+         openings.push(opening);
+      }
    }
 
-   /**
-    * Calculates nearby mines number for each cell and assigns the value*/
-   resetMines()
+   for (let i=0; i<minefield.cells; i++)
    {
-      for (let i=0; i<this.width; i++)
+      if (minefield[i].isMine == false && zonedCells.has(i) == false)
       {
-         for (let j=0; j<this.height; j++)
-         {
-            this[i][j].mines = 0;
-         }
-      }
+         let island = new Set([i]);
 
-      for (let i=0; i<this.width; i++)
-      {
-         for (let j=0; j<this.height; j++)
+         for (let x of island)
          {
-            if (this[i][j].isMine)
+            for (let y of minefield.getNearbyCells(x))
             {
-               let nearbyCells = this.getNearbyCells([i, j], true);
-
-               for (let k=0; k<nearbyCells.length; k++)
-               {
-                  this[nearbyCells[k][0]][nearbyCells[k][1]].mines++;
-               }
+               if (minefield[y].isMine == false && zonedCells.has(y) == false) island.add(y);
             }
          }
-      }
-   }
 
+         for (let x of island) zonedCells.add(x);
 
-   /**
-    * Executes a given function for every cell (passing them as parameters along with the corresponding coordinates, like a forEach)
-    * @param {Function} fun A function to execute for each cell
-    * @param {Boolean} returnBreak If true, the loop breaks whenever the given function returns a value that is not undefined and returns that value (default: false)
-    * @param {Boolean} giveIndex If true, the method will replace the coordinates of the cell with its corresponding index (default: false)
-    * @returns {any} Any value returned from the function if returnBreak is true
-    */
-   forEachCell(fun, returnBreak=false, giveIndex=false)
-   {
-      for (let i=0; i<this.height; i++)
-      {
-         for (let j=0; j<this.width; j++)
-         {
-            let res = fun(this[j][i], giveIndex ? j+i*this.width : [j, i]);
-            if (returnBreak && res !== undefined) return res;
-         }
+         islands.push([...island].sort((a, b) => a - b));
       }
    }
-   /**
-    * Finds the coordinates of the nearby cell at the given index
-    * @param {Number} x The X coordinate of the concerned cell
-    * @param {Number} y The Y coordinate of the concerned cell
-    * @param {Boolean} includeSelf If true, also include the coordinates of the concerned cell (default: false)
-    * @returns {Array.<Array.<number>>} An Array containing arrays with the coordinates of of the cells directly around the given one
-    * @throws An error if parameters are invalid
-    */
-   getNearbyCells([x, y], includeSelf=false)
-   {
-      x = validateNumber(x, 0, this.width-1), y = validateNumber(y, 0, this.height-1);
 
-      let nearbyCells = [];
+   return {openings, islands};
+}
 
-      let isNotFirstRow = y > 0;
-      let isNotLastRow = y < this.height-1;
+let logFactorials = [0];
 
+function logCombinations(n, k)
+{
+   while (logFactorials.length <= n) logFactorials.push(logFactorials[logFactorials.length-1] + Math.log(logFactorials.length));
 
-      if (includeSelf ) nearbyCells.push([x, y])          //center
+   return logFactorials[n] - logFactorials[k] - logFactorials[n-k];
+}
 
-      if (isNotFirstRow) nearbyCells.push([x, y-1]);      //up
-      if (isNotLastRow ) nearbyCells.push([x, y+1]);      //down
+function pushVarint(bytes, num)
+{
+   while (num >= 128)
+   {
+      bytes.push((num & 127) | 128);
+      num = Math.floor(num / 128);
+   }
 
-      if (x > 0) //if cell isn't on first column
-      {
-         nearbyCells.push([x-1, y]);                      //left
+   bytes.push(num);
+}
 
-         if (isNotFirstRow) nearbyCells.push([x-1, y-1]); //up left
-         if (isNotLastRow ) nearbyCells.push([x-1, y+1]); //down left
-      }
+function readVarint(bytes, position)
+{
+   let num = 0;
 
-      if (x < this.width-1) //if cell isn't on last column
-      {
-         nearbyCells.push([x+1, y]);                      //right
+   for (let shift=0; shift < 28; shift+=7)
+   {
+      if (position.index >= bytes.length) break;
 
-         if (isNotFirstRow) nearbyCells.push([x+1, y-1]); //up right
-         if (isNotLastRow ) nearbyCells.push([x+1, y+1]); //down right
-      }
+      let byte = bytes[position.index++];
+      num += (byte & 127) * 2**shift;
 
-      return nearbyCells;
+      if (byte < 128) return num;
    }
-   /**
-    * Uses a flood fill algorithm to find all the cells that have 0 mines nearby
-    * @param {Number} x The X coordinate of the concerned cell
-    * @param {Number} y The Y coordinate of the concerned cell
-    * @param {Boolean} includeFlags If true, the flagged cells will be included in the empty zone (default: false)
-    * @returns {Array.<Array.<number>>} An Array containing arrays with the coordinates of the empty cells zone starting from the given one
-    * @throws An error if parameters are invalid
-    */
-   getEmptyZone([x, y], includeFlags=false)
-   {
-      let minefield = this.toMinefield();
 
-      let cell = minefield.getCellIndex([x, y])
+   throw new Error("Invalid board code");
+}
 
-      let res = minefield.getEmptyZone(cell, includeFlags);
+function getChecksum(bytes)
+{
+   let a = 1, b = 0;
 
+   for (let byte of bytes)
+   {
+      a = (a + byte) % 251;
+      b = (b + a) % 251;
+   }
 
-      let res2D = [];
+   return (b << 8) | a;
+}
 
-      for (let i=0; i<res.length; i++)
-      {
-         res2D.push(minefield.getCellCords(res[i]));
-      }
+function encodeBase64(bytes)
+{
+   let text = "";
 
-      return res2D;
+   for (let i=0; i<bytes.length; i+=3)
+   {
+      let chunk = (bytes[i] << 16) | ((bytes[i+1] ?? 0) << 8) | (bytes[i+2] ?? 0);
+      let chars = Math.min(4, Math.ceil((bytes.length - i) * 4/3));
+
+      for (let j=0; j<chars; j++) text += BASE64_CHARS[(chunk >> (18 - 6*j)) & 63];
    }
-   /**
-    * Finds the coordinates of all the square zone cells starting and ending at the specified coordinates
-    * @param {Number} begX The X coordinate of the start of the square zone
-    * @param {Number} begY The Y coordinate of the start of the square zone
-    * @param {Number} endX The X coordinate of the end of the square zone
-    * @param {Number} endY The Y coordinate of the end of the square zone
-    * @return {Array.<Array.<number>>} An array containing the coordinates of all the cells present in the square zone
-    * @throws An error if parameters are invalid
-    */
-   getSquareZone([begX, begY], [endX, endY])
+
+   return text;
+}
+
+function decodeBase64(text)
+{
+   let bytes = [];
+   let bits = 0, bitsNumber = 0;
+
+   for (let char of text)
    {
-      begX = validateNumber(begX, 0, this.width-1), begY = validateNumber(begY, 0, this.height-1),
-      endX = validateNumber(endX, 0, this.width-1), endY = validateNumber(endY, 0, this.height-1);
+      let value = BASE64_CHARS.indexOf(char);
 
-      if (endX < begX) [begX, endX] = [endX, begX];
-      if (endY < begY) [begY, endY] = [endY, begY];
+      if (value == -1) throw new Error("Invalid board code (unexpected character \"" + char + "\")");
 
-      let squareZone = [];
+      bits = ((bits << 6) | value) & 0xFFFF;
+      bitsNumber += 6;
 
-      for (let i=begX; i<=endX; i++)
+      if (bitsNumber >= 8)
       {
-         for (let j=begY; j<=endY; j++)
-         {
-            squareZone.push([i, j]);
-         }
+         bitsNumber -= 8;
+         bytes.push((bits >> bitsNumber) & 255);
       }
+   }
 
-      return squareZone;
+   if (bitsNumber >= 6 || (bits & ((1 << bitsNumber) - 1)) != 0) throw new Error("Invalid board code");
+
+   return bytes;
+}
+
+/**
+ * Hashes a string into four 32-bit numbers (cyrb128), used to seed the built-in randomizer
+ */
+function hashSeed(text)
+{
+   let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+
+   for (let i=0; i<text.length; i++)
+   {
+      let k = text.charCodeAt(i);
+
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
    }
+
+   h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+   h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+   h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+   h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+
+   h1 ^= h2 ^ h3 ^ h4;
+
+   return [h1, h2 ^ h1, h3 ^ h1, h4 ^ h1];
 }
 
+function getRandomMines(cells, mines, excludedCells, randomizer)
+{
+   let excluded = new Set(excludedCells);
+   let candidates = [];
+
+   for (let i=0; i<cells; i++)
+   {
+      if (excluded.has(i) == false) candidates.push(i);
+   }
+
+   //Durstenfeld shuffle algorithm (stopped after the mines are picked)
+   for (let i=candidates.length-1; i >= candidates.length-mines && i > 0; i--)
+   {
+      let j = Math.floor(randomizer() * (i+1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+   }
+
+   return candidates.slice(candidates.length-mines);
+}
 
 function validateNumber(num, min=-Infinity, max=Infinity)
 {